@@ -1,12 +1,65 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import AudioPlayer from './components/AudioPlayer';
 import Controls from './components/Controls';
 import TestRecorder from './components/TestRecorder';
-import { Upload, Music, Mic2, Activity, Waves, Settings, Music2, Bug, Maximize2, Minimize2, Play, Pause, Rewind, FastForward, ZoomIn, ZoomOut, Flag, Trash2, PlayCircle } from 'lucide-react';
+import ScorePanel from './components/ScorePanel';
+import TanpuraPanel from './components/TanpuraPanel';
+import SongLibrary from './components/SongLibrary';
+import RegionList from './components/RegionList';
+import SpeedTrainer from './components/SpeedTrainer';
+import TakeList from './components/TakeList';
+import NotationSheet from './components/NotationSheet';
+import TargetMelodyPanel from './components/TargetMelodyPanel';
+import AnalysisSettings from './components/AnalysisSettings';
+import RagaReference from './components/RagaReference';
+import SwaraLabel from './components/SwaraLabel';
+import CentsMeter from './components/CentsMeter';
+import { Upload, Music, Mic2, Activity, Waves, Settings, Music2, Bug, Maximize2, Minimize2, Play, Pause, Rewind, FastForward, ZoomIn, ZoomOut, Flag, Trash2, PlayCircle, MicOff, FileText } from 'lucide-react';
+import { NOTES, midiToFreq } from './utils/notes';
+import { findMadhyaSa, getSwara } from './utils/swaras';
+import { WESTERN_MODES, getWesternName, formatCents } from './utils/westernNotes';
+import { TUNING_SYSTEMS, getSaReference, classifyPitch, formatRatio } from './utils/tuning';
+import { listSongs, getSong, saveSong, updateSong, deleteSong, addTake, listTakes, updateTake, deleteTake } from './utils/library';
+import { takeToWav, mixTakeWithSong, mixUnavailableReason } from './utils/wavExport';
+import { downloadBlob } from './utils/download';
+import { toMidiFile, takeMidiUnavailableReason } from './utils/midiExport';
+import { mapTakeSegments } from './utils/takeTiming';
+import { extractStableNotes, freqToMidi } from './utils/stableNotes';
+import { parseMidiFile, toMelodyLine, alignMelody } from './utils/midiImport';
+import { DEFAULT_SONG_PIPELINE, DEFAULT_MIC_PIPELINE } from './utils/analysisPipeline';
+import { RAGAS, getRagaSwaras, isOutOfRaga } from './utils/ragas';
 
-// Sargam Mapping Helpers
-const NOTES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
-const SARGAM_MAPPING = ["Sa", "re", "Re", "ga", "Ga", "Ma", "MA", "Pa", "dha", "Dha", "ni", "Ni"];
+// Pitch-line colors for recorded takes (first take keeps the classic orange)
+const TAKE_COLORS = ['#F97316', '#38BDF8', '#F472B6', '#A3E635', '#FACC15', '#C084FC', '#F87171', '#2DD4BF'];
+
+const DEFAULT_TARGET_SETTINGS = {
+  trackIndex: 0,
+  offset: 0,        // Seconds added to the MIDI timeline to line it up with the audio
+  transpose: 0,     // Semitones
+  useForNotes: true // Replace the detected stable notes
+};
+
+const DEFAULT_ANALYSIS_SETTINGS = {
+  song: DEFAULT_SONG_PIPELINE,
+  mic: DEFAULT_MIC_PIPELINE,
+  fadeBelow: 0.5 // Pitch points below this confidence are drawn fainter (0 = off)
+};
+
+// Take kept in memory only (no library entry for this song)
+const createLocalTake = (take) => {
+  const createdAt = Date.now();
+  return { ...take, id: `local-${createdAt}`, createdAt };
+};
+
+// One past the highest "Take N" in use, so names stay unique after deletes
+const nextTakeNumber = (takes) =>
+  takes.reduce((max, t) => Math.max(max, Number(/^Take (\d+)$/.exec(t.name)?.[1]) || 0), 0) + 1;
+
+// "My Song.mp3" + "Take 2" + "wav" -> "My Song - Take 2.wav"
+const exportFileName = (songName, takeName, extension, suffix = '') => {
+  const base = `${(songName || 'Recording').replace(/\.[^.]+$/, '')} - ${takeName}${suffix}`;
+  return `${base.replace(/[\\/:*?"<>|]/g, '_')}.${extension}`;
+};
 
 function App() {
   const [showTestRecorder, setShowTestRecorder] = useState(false);
@@ -20,9 +73,21 @@ function App() {
   // Notation State
   const [showSpectrogram, setShowSpectrogram] = useState(false);
   const [showSargam, setShowSargam] = useState(true); // Default to Sargam as requested
+  const [sargamScript, setSargamScript] = useState('latin'); // 'latin' (Sa Re) or 'devanagari' (सा रे)
+  const [westernMode, setWesternMode] = useState('letters'); // With sargam off: key of WESTERN_MODES
+  const [centsTolerance, setCentsTolerance] = useState(10); // ± cents counted as in tune by the meter
+  const [tuningSystem, setTuningSystem] = useState('equal'); // Sargam tuning: key of TUNING_SYSTEMS
   const [notationMode, setNotationMode] = useState('axis'); // 'axis' or 'floating'
   const [rootKey, setRootKey] = useState("C"); // Default Sa = C
+  const [raga, setRaga] = useState('none'); // Key into RAGAS, 'custom' or 'none'
+  const [customSwaras, setCustomSwaras] = useState(RAGAS.bilawal.swaras); // Semitones above Sa for 'custom'
+  const [detectedTonic, setDetectedTonic] = useState(null); // { tonic, confidence, candidates }
+  const [transposeSemitones, setTransposeSemitones] = useState(0); // ±12, tempo unchanged
+  const [transposeCents, setTransposeCents] = useState(0); // Fine tune ±50
+  const [karaokeEnabled, setKaraokeEnabled] = useState(false); // Reduce the lead vocal
+  const [karaokeStrength, setKaraokeStrength] = useState(0.8);
   const [currentNote, setCurrentNote] = useState(null);
+  const [liveNote, setLiveNote] = useState(null); // User's mic pitch while recording
 
   const playerRef = useRef(null);
   const visualizerContainerRef = useRef(null);
@@ -81,14 +146,13 @@ function App() {
     };
   }, []);
 
-  const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      setAudioFile(file);
-      setFileName(file.name);
-      setIsPlaying(false);
-      setCurrentNote(null);
-    }
+  // Transposing moves Sa with the song so sargam labels stay correct
+  const handleTransposeChange = (semitones) => {
+    const next = Math.max(-12, Math.min(12, semitones));
+    const delta = next - transposeSemitones;
+    if (delta === 0) return;
+    setTransposeSemitones(next);
+    setRootKey(prev => NOTES[(NOTES.indexOf(prev) + delta + 120) % 12]);
   };
 
   const togglePlay = () => {
@@ -99,11 +163,74 @@ function App() {
   const handleSkipForward = () => playerRef.current?.skipAuthorization(5);
   const handleAddRegion = () => playerRef.current?.addRegion();
   const handleClearRegions = () => playerRef.current?.clearRegions();
+  const handleSetMarkerA = () => playerRef.current?.setMarkerA();
+  const handleSetMarkerB = () => playerRef.current?.setMarkerB();
+  const handleNextPhrase = () => playerRef.current?.nextPhrase();
+  const handlePrevPhrase = () => playerRef.current?.prevPhrase();
+
+  // Loop Regions
+  const [activeRegionId, setActiveRegionId] = useState(null);
+  const [loopMode, setLoopMode] = useState('loop'); // 'loop' or 'through'
+  const [markerA, setMarkerA] = useState(null); // Pending A marker time
+
+  // Speed Trainer — ramps the rate up every N passes of the active loop
+  const [trainer, setTrainer] = useState({
+    enabled: false,
+    startRate: 0.6,
+    targetRate: 1,
+    step: 0.05,
+    passesPerStep: 3,
+    dropBack: false,
+    dropBackBelow: 60 // Take score that counts as a failed take
+  });
+  const [trainerPasses, setTrainerPasses] = useState(0);
+  const roundRate = (rate) => Math.round(rate * 100) / 100;
+
+  const handleTrainerChange = (next) => {
+    if (next.enabled && !trainer.enabled) {
+      setPlaybackRate(next.startRate);
+      setTrainerPasses(0);
+    }
+    setTrainer(next);
+  };
+
+  const handleRegionLoop = () => {
+    if (!trainer.enabled) return;
+    const passes = trainerPasses + 1;
+    if (passes >= trainer.passesPerStep && playbackRate < trainer.targetRate) {
+      setPlaybackRate(roundRate(Math.min(trainer.targetRate, playbackRate + trainer.step)));
+      setTrainerPasses(0);
+    } else {
+      setTrainerPasses(passes);
+    }
+  };
+
+  const handlePlayRegion = (id) => {
+    setActiveRegionId(id);
+    playerRef.current?.playRegion(id);
+    setIsPlaying(true);
+  };
+  const handleRenameRegion = (id, name) => playerRef.current?.renameRegion(id, name);
+  const handleRemoveRegion = (id) => playerRef.current?.removeRegion(id);
 
   // Recording Logic
   const [isRecording, setIsRecording] = useState(false);
   const [userAudioUrl, setUserAudioUrl] = useState(null);
 
+  // Object URLs for take audio: the selected take's, and the last one played from
+  // the take list. Each is revoked when it is replaced and on unmount.
+  const takeUrlsRef = useRef({ selected: null, played: null });
+  const replaceTakeUrl = (slot, blob) => {
+    const urls = takeUrlsRef.current;
+    if (urls[slot]) URL.revokeObjectURL(urls[slot]);
+    urls[slot] = blob ? URL.createObjectURL(blob) : null;
+    return urls[slot];
+  };
+  useEffect(() => () => {
+    Object.values(takeUrlsRef.current).forEach(url => url && URL.revokeObjectURL(url));
+  }, []);
+  const [takeScore, setTakeScore] = useState(null);
+
   const handleRecordToggle = () => {
     if (isRecording) {
       // STOP — keep song playing so user can compare
@@ -113,24 +240,120 @@ function App() {
       // START — song keeps playing, echoCancellation is forced OFF in AudioPlayer
       playerRef.current?.startRecording();
       setIsRecording(true);
-      setUserAudioUrl(null);
+      setUserAudioUrl(replaceTakeUrl('selected', null));
       if (!isPlaying) setIsPlaying(true); // Play song to sing along
     }
   };
 
-  const handleRecordingComplete = ({ blob }) => {
-    const url = URL.createObjectURL(blob);
-    setUserAudioUrl(url);
+  const handleSeekToTime = (seconds) => playerRef.current?.seekToTime(seconds);
+
+  const awaitingTakeScoreRef = useRef(false); // Next score belongs to a fresh take
+
+  // Takes — every recording is kept; each has its own pitch-line color
+  const [takes, setTakes] = useState([]);
+  const [visibleTakeIds, setVisibleTakeIds] = useState([]);
+  const [currentTakeId, setCurrentTakeId] = useState(null); // Take being scored / played by "Play My Recording"
+  const currentTake = takes.find(t => t.id === currentTakeId) || null;
+
+  const selectTake = (take) => {
+    setCurrentTakeId(take?.id ?? null);
+    setUserAudioUrl(replaceTakeUrl('selected', take?.blob));
+  };
+
+  const handleRecordingComplete = async ({ blob, segments, offset, duration, latency, timeline }) => {
+    awaitingTakeScoreRef.current = true;
+    const region = regions.find(r => r.id === activeRegionId);
+    let take = {
+      blob,
+      segments,
+      offset,
+      duration,
+      latency,
+      timeline, // Song jumps and speed changes during the take (loop wraps, trainer steps)
+      transpose: { semitones: transposeSemitones, cents: transposeCents }, // Song transpose it was sung over
+      name: `Take ${nextTakeNumber(takes)}`,
+      region: region?.content || null,
+      starred: false,
+      color: TAKE_COLORS[takes.length % TAKE_COLORS.length]
+    };
+    try {
+      take = songId ? await addTake(songId, take) : createLocalTake(take);
+    } catch (err) {
+      console.warn('Failed to save take:', err);
+      take = createLocalTake(take);
+    }
+
+    setTakes(prev => [...prev, take]);
+    setVisibleTakeIds(prev => [...prev, take.id]);
+    selectTake(take);
+  };
+
+  const updateTakeFields = (id, patch) => {
+    setTakes(prev => prev.map(t => (t.id === id ? { ...t, ...patch } : t)));
+    if (typeof id === 'number') updateTake(id, patch).catch(err => console.warn('Failed to update take:', err));
+  };
+
+  const handleToggleTakeVisible = (id) => {
+    setVisibleTakeIds(prev => (prev.includes(id) ? prev.filter(v => v !== id) : [...prev, id]));
+  };
+
+  const handleDeleteTake = (id) => {
+    const remaining = takes.filter(t => t.id !== id);
+    setTakes(remaining);
+    setVisibleTakeIds(prev => prev.filter(v => v !== id));
+    if (id === currentTakeId) selectTake(remaining[remaining.length - 1]);
+    if (typeof id === 'number') deleteTake(id).catch(err => console.warn('Failed to delete take:', err));
+  };
+
+  const [mixBalance, setMixBalance] = useState(0.5); // 0 = song only, 1 = voice only
+  const [exportingTakeId, setExportingTakeId] = useState(null);
+
+  const handleExportTake = async (id, withSong) => {
+    const take = takes.find(t => t.id === id);
+    if (!take || exportingTakeId || (withSong && mixUnavailableReason(take))) return;
+    setExportingTakeId(id);
+    try {
+      const wav = withSong
+        ? await mixTakeWithSong({ songBlob: audioFile, takeBlob: take.blob, timing: take, balance: mixBalance })
+        : await takeToWav(take.blob);
+      downloadBlob(wav, exportFileName(audioFile?.name, take.name, 'wav', withSong ? ' (mix)' : ''));
+    } catch (err) {
+      console.error('Export failed:', err);
+    } finally {
+      setExportingTakeId(null);
+    }
+  };
+
+  // Take transcription as MIDI, placed on the song timeline (offset, playback rate)
+  const handleExportTakeMidi = (id) => {
+    const take = takes.find(t => t.id === id);
+    if (!take || takeMidiUnavailableReason(take)) return;
+    const segments = mapTakeSegments(take, take.segments);
+    const midi = toMidiFile(extractStableNotes(segments), {
+      segments,
+      pitchBend: midiPitchBend,
+      name: take.name
+    });
+    downloadBlob(midi, exportFileName(audioFile?.name, take.name, 'mid'));
+  };
+
+  const handlePlayTake = (id) => {
+    const take = takes.find(t => t.id === id);
+    if (!take) return;
+    playRecording(take.id === currentTakeId && userAudioUrl ? userAudioUrl : replaceTakeUrl('played', take.blob));
+  };
+
+  const handlePlayRecording = () => {
+    if (userAudioUrl) playRecording(userAudioUrl);
   };
 
-  const handlePlayRecording = async () => {
-    if (!userAudioUrl) return;
+  const playRecording = async (url) => {
     // Pause song first so user only hears their recording
     if (isPlaying) setIsPlaying(false);
     try {
       // Use AudioContext so audio routes through headphones (not forced to speaker on mobile)
       const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-      const response = await fetch(userAudioUrl);
+      const response = await fetch(url);
       const arrayBuffer = await response.arrayBuffer();
       const audioBuffer = await audioCtx.decodeAudioData(arrayBuffer);
       const source = audioCtx.createBufferSource();
@@ -140,19 +363,187 @@ function App() {
     } catch (e) {
       // Fallback to basic Audio element
       console.warn('AudioContext playback failed, using Audio element:', e);
-      const audio = new Audio(userAudioUrl);
+      const audio = new Audio(url);
       audio.play();
     }
   };
 
+  // Speed Trainer drop-back: a failed take steps the rate down again
+  const handleScoreUpdate = useCallback((score) => {
+    setTakeScore(score);
+    if (!score || !awaitingTakeScoreRef.current) return;
+    awaitingTakeScoreRef.current = false;
+    if (trainer.enabled && trainer.dropBack && score.score < trainer.dropBackBelow) {
+      setPlaybackRate(rate => roundRate(Math.max(trainer.startRate, rate - trainer.step)));
+      setTrainerPasses(0);
+    }
+  }, [trainer]);
+
+  // Song Library (IndexedDB) — songs reopen with their practice state
+  const [songId, setSongId] = useState(null);
+  const [library, setLibrary] = useState([]);
+  const [cachedAnalysis, setCachedAnalysis] = useState(null);
+  const [regions, setRegions] = useState([]); // Loop regions (listed in the sidebar and saved)
+  const [songNotes, setSongNotes] = useState([]); // Stable note events from the player (for notation export)
+  const [songSegments, setSongSegments] = useState([]); // Raw pitch contour behind them (for MIDI pitch-bend)
+  const [songOrnaments, setSongOrnaments] = useState([]); // Meend, gamak, vibrato and kan found in the song
+  const [showNotation, setShowNotation] = useState(false);
+  const [midiPitchBend, setMidiPitchBend] = useState(false); // Keep meends/slides in MIDI exports
+
+  // Reference melody imported from MIDI
+  const [targetMelody, setTargetMelody] = useState(null); // { fileName, tracks }
+  const [targetSettings, setTargetSettings] = useState(DEFAULT_TARGET_SETTINGS);
+  const [targetError, setTargetError] = useState(null);
+
+  // Pitch analysis pipelines (song analysis, mic takes + live line)
+  const [analysisSettings, setAnalysisSettings] = useState(DEFAULT_ANALYSIS_SETTINGS);
+
+  const handleLoadTargetMidi = async (file) => {
+    try {
+      const { tracks } = parseMidiFile(await file.arrayBuffer());
+      if (!tracks.length) throw new Error('no notes found');
+      setTargetMelody({ fileName: file.name, tracks });
+      setTargetSettings({ ...DEFAULT_TARGET_SETTINGS, trackIndex: tracks[0].index });
+      setTargetError(null);
+    } catch (err) {
+      console.error('MIDI import failed:', err);
+      setTargetError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const targetNotes = useMemo(() => {
+    const track = targetMelody?.tracks.find(t => t.index === targetSettings.trackIndex);
+    return track ? alignMelody(toMelodyLine(track.notes), targetSettings) : null;
+  }, [targetMelody, targetSettings]);
+
+  const handleNotesChange = useCallback((notes, segments, ornaments) => {
+    setSongNotes(notes);
+    setSongSegments(segments);
+    setSongOrnaments(ornaments);
+  }, []);
+
+  const refreshLibrary = () => {
+    listSongs().then(setLibrary).catch(err => console.warn('Library unavailable:', err));
+  };
+
+  useEffect(() => {
+    listSongs().then(setLibrary).catch(err => console.warn('Library unavailable:', err));
+  }, []);
+
+  const openSong = (file, song) => {
+    setAudioFile(file);
+    setFileName(file.name);
+    setIsPlaying(false);
+    setCurrentNote(null);
+    setDetectedTonic(null);
+    setTransposeSemitones(0);
+    setTransposeCents(0);
+    setUserAudioUrl(replaceTakeUrl('selected', null));
+    setTakeScore(null);
+
+    setSongId(song?.id ?? null);
+    setCachedAnalysis(song?.analysis || null);
+    setRegions(song?.regions || []);
+    setActiveRegionId(null);
+    setMarkerA(null);
+    setTakes([]);
+    setVisibleTakeIds([]);
+    setCurrentTakeId(null);
+    setTargetMelody(null);
+    setTargetError(null);
+    if (song?.settings) {
+      setRootKey(song.settings.rootKey);
+      setShowSargam(song.settings.showSargam);
+      setNotationMode(song.settings.notationMode);
+      setSargamScript(song.settings.sargamScript || 'latin');
+      setWesternMode(song.settings.westernMode || 'letters');
+      setTuningSystem(song.settings.tuningSystem || 'equal');
+      setRaga(song.settings.raga || 'none');
+      if (song.settings.customSwaras) setCustomSwaras(song.settings.customSwaras);
+    }
+
+    // Bring back saved takes; the most recent one is shown and scored
+    if (song) {
+      listTakes(song.id).then(saved => {
+        const loaded = saved.map((t, i) => ({
+          ...t,
+          name: t.name || `Take ${i + 1}`,
+          color: t.color || TAKE_COLORS[i % TAKE_COLORS.length]
+        }));
+        const last = loaded[loaded.length - 1];
+        setTakes(loaded);
+        if (!last) return;
+        setVisibleTakeIds([last.id]);
+        selectTake(last);
+      }).catch(err => console.warn('Failed to load takes:', err));
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    let song = null;
+    try {
+      song = await saveSong(file, { rootKey, showSargam, sargamScript, westernMode, tuningSystem, notationMode, raga, customSwaras });
+      refreshLibrary();
+    } catch (err) {
+      console.warn('Library unavailable, song will not be saved:', err);
+    }
+    openSong(file, song);
+  };
+
+  const handleOpenFromLibrary = async (id) => {
+    try {
+      const song = await getSong(id);
+      if (!song) return;
+      updateSong(id, { lastOpenedAt: Date.now() });
+      openSong(new File([song.blob], song.name, { type: song.type }), song);
+    } catch (err) {
+      console.error('Failed to open song:', err);
+    }
+  };
+
+  const handleDeleteFromLibrary = async (id) => {
+    await deleteSong(id).catch(err => console.error('Failed to delete song:', err));
+    refreshLibrary();
+  };
+
+  const handleAnalysisComplete = (analysis) => {
+    setCachedAnalysis(analysis);
+    if (songId) updateSong(songId, { analysis }).catch(err => console.warn('Failed to cache analysis:', err));
+  };
+
+  const handleRegionsChange = (regions) => {
+    setRegions(regions);
+    if (songId) updateSong(songId, { regions }).catch(err => console.warn('Failed to save regions:', err));
+  };
+
+  // Persist notation settings (Sa is stored untransposed)
+  useEffect(() => {
+    if (!songId) return;
+    const baseKey = NOTES[(NOTES.indexOf(rootKey) - transposeSemitones + 120) % 12];
+    updateSong(songId, { settings: { rootKey: baseKey, showSargam, sargamScript, westernMode, tuningSystem, notationMode, raga, customSwaras } })
+      .catch(err => console.warn('Failed to save settings:', err));
+  }, [songId, rootKey, transposeSemitones, showSargam, sargamScript, westernMode, tuningSystem, notationMode, raga, customSwaras]);
+
+  const ragaSwaras = getRagaSwaras(raga, customSwaras); // null = no raga
+  // Saptak reference for the note cards (same rule as the player's axis and badges)
+  const madhyaSa = useMemo(() => findMadhyaSa(songNotes, rootKey), [songNotes, rootKey]);
+
   // Determine Display Note (Western vs Sargam)
   const getDisplayNote = (noteObj) => {
     if (!noteObj) return { main: "--", sub: "Listening..." };
 
     const { note, frequency } = noteObj; // note is like "C4", "F#3"
+    // Target note: the held note when the player knows it, else the nearest semitone.
+    // cents drives the tuner meter (negative = flat).
+    const midi = noteObj.midi ?? freqToMidi(frequency);
+    const cents = 1200 * Math.log2(frequency / midiToFreq(midi));
+    const outOfRaga = isOutOfRaga(midi, rootKey, ragaSwaras);
 
     if (!showSargam) {
-      return { main: note, sub: `${Math.round(frequency)} Hz` };
+      const name = getWesternName(midi, { mode: westernMode, rootKey });
+      return { main: name, sub: `${formatCents(cents)} · ${Math.round(frequency)} Hz`, cents, outOfRaga };
     }
 
     // Convert to Sargam
@@ -163,18 +554,29 @@ function App() {
     const rootIndex = NOTES.indexOf(rootKey);
     const noteIndex = NOTES.indexOf(noteName);
 
-    if (rootIndex === -1 || noteIndex === -1) return { main: note, sub: "Unknown" };
+    if (rootIndex === -1 || noteIndex === -1) return { main: note, sub: "Unknown", cents, outOfRaga };
 
-    // 3. Calculate interval (0-11)
-    let interval = (noteIndex - rootIndex + 12) % 12;
+    // 3. Place it in the tuning system (the player passes the held note's position;
+    // live input is classified here) — cents are measured from that position
+    const tuned = noteObj.tuning || classifyPitch(frequency, getSaReference(rootKey), tuningSystem);
+    const tunedCents = 1200 * Math.log2(frequency / tuned.targetFreq);
 
-    // 4. Map to Sargam
-    const sargamNote = SARGAM_MAPPING[interval];
+    // 4. Map to a swara, with its saptak relative to the song's madhya Sa
+    const swara = getSwara(tuned.midi, { madhyaSa, script: sargamScript });
+    const position = tuningSystem === 'equal' ? note : `${tuned.name || swara.text} ${formatRatio(tuned.ratio)}`;
 
-    return { main: sargamNote, sub: `${note} / ${Math.round(frequency)} Hz` };
+    return {
+      main: swara.text,
+      swara,
+      sub: `${position} / ${Math.round(frequency)} Hz`,
+      cents: tunedCents,
+      outOfRaga: isOutOfRaga(tuned.midi, rootKey, ragaSwaras)
+    };
   };
 
   const display = getDisplayNote(currentNote);
+  const takeLines = takes.filter(t => visibleTakeIds.includes(t.id));
+  const liveDisplay = getDisplayNote(liveNote);
 
   // Keyboard Shortcuts
   useEffect(() => {
@@ -198,6 +600,18 @@ function App() {
         case 'KeyC':
           handleClearRegions();
           break;
+        case 'KeyA':
+          handleSetMarkerA();
+          break;
+        case 'KeyB':
+          handleSetMarkerB();
+          break;
+        case 'KeyN':
+          handleNextPhrase();
+          break;
+        case 'KeyP':
+          handlePrevPhrase();
+          break;
         default:
           break;
       }
@@ -213,8 +627,26 @@ function App() {
       {/* DIAGNOSTIC MODE OVERLAY */}
       {showTestRecorder && <TestRecorder onBack={() => setShowTestRecorder(false)} />}
 
+      {/* Printable notation (hides the app when printing) */}
+      {showNotation && (
+        <NotationSheet
+          notes={songNotes}
+          segments={songSegments}
+          ornaments={songOrnaments}
+          pitchBend={midiPitchBend}
+          onPitchBendChange={setMidiPitchBend}
+          showSargam={showSargam}
+          rootKey={rootKey}
+          sargamScript={sargamScript}
+          westernMode={westernMode}
+          tuningSystem={tuningSystem}
+          title={fileName}
+          onClose={() => setShowNotation(false)}
+        />
+      )}
+
       {/* Header */}
-      <header className="bg-gray-900 border-b border-gray-800 p-4 sticky top-0 z-10">
+      <header className={`bg-gray-900 border-b border-gray-800 p-4 sticky top-0 z-10 ${showNotation ? 'print:hidden' : ''}`}>
         <div className="max-w-6xl mx-auto flex items-center justify-between">
           <div className="flex items-center gap-3">
             <div className="p-2 bg-gradient-to-br from-indigo-500 to-purple-600 rounded-lg shadow-lg">
@@ -231,7 +663,7 @@ function App() {
             <button
               onClick={() => setShowTestRecorder(true)}
               className="ml-4 p-1 rounded-full bg-gray-800 text-gray-500 hover:text-orange-500 hover:bg-gray-700 transition"
-              title="Open Mic Diagnostic"
+              title="Mic Diagnostic & Latency Calibration"
             >
               <Bug size={14} />
             </button>
@@ -250,7 +682,10 @@ function App() {
       </header>
 
       {/* Main Content */}
-      <main className="max-w-6xl mx-auto p-4 md:p-8 space-y-8">
+      <main className={`max-w-6xl mx-auto p-4 md:p-8 space-y-8 ${showNotation ? 'print:hidden' : ''}`}>
+
+        {/* Tanpura Drone — plays with the song or alone for riyaz */}
+        <TanpuraPanel rootKey={rootKey} onRootKeyChange={audioFile ? undefined : setRootKey} />
 
         {!audioFile && (
           <div className="flex flex-col items-center justify-center p-12 border-2 border-dashed border-gray-800 rounded-2xl bg-gray-900/50 text-center space-y-4">
@@ -265,6 +700,7 @@ function App() {
               Select Audio File
               <input type="file" accept="audio/*" onChange={handleFileChange} className="hidden" />
             </label>
+            <SongLibrary songs={library} onOpen={handleOpenFromLibrary} onDelete={handleDeleteFromLibrary} />
           </div>
         )}
 
@@ -301,6 +737,52 @@ function App() {
                   </select>
                 </div>
 
+                {/* Raga Selector */}
+                <div className="flex items-center gap-2 bg-gray-900 px-3 py-1.5 rounded-lg border border-gray-800">
+                  <span className="text-xs text-gray-400 uppercase font-bold">Raga</span>
+                  <select
+                    value={raga}
+                    onChange={(e) => setRaga(e.target.value)}
+                    className="bg-transparent text-indigo-400 font-bold focus:outline-none cursor-pointer"
+                  >
+                    <option value="none" className="bg-gray-900">None</option>
+                    {Object.entries(RAGAS).map(([key, r]) => (
+                      <option key={key} value={key} className="bg-gray-900">{r.name}</option>
+                    ))}
+                    <option value="custom" className="bg-gray-900">Custom...</option>
+                  </select>
+                </div>
+
+                {/* Detected Sa suggestion */}
+                {detectedTonic && (
+                  <div
+                    className="flex items-center gap-2 bg-gray-900 px-3 py-1.5 rounded-lg border border-gray-800 text-sm"
+                    title={`Other candidates: ${detectedTonic.candidates.slice(1).map(c => `${c.key} (${Math.round(c.confidence * 100)}%)`).join(', ')}`}
+                  >
+                    <span className="text-xs text-gray-400 uppercase font-bold">Detected</span>
+                    <span className="text-teal-300 font-bold">{detectedTonic.tonic}</span>
+                    <span className="text-xs font-mono text-gray-500">{Math.round(detectedTonic.confidence * 100)}%</span>
+                    {detectedTonic.candidates.slice(1).map(c => (
+                      <button
+                        key={c.key}
+                        onClick={() => setRootKey(c.key)}
+                        className="text-xs text-gray-500 hover:text-gray-300 transition"
+                        title={`Use ${c.key} as Sa`}
+                      >
+                        {c.key}
+                      </button>
+                    ))}
+                    {rootKey !== detectedTonic.tonic && (
+                      <button
+                        onClick={() => setRootKey(detectedTonic.tonic)}
+                        className="px-2 py-0.5 rounded bg-teal-600 hover:bg-teal-700 text-white text-xs font-bold transition"
+                      >
+                        Use detected Sa
+                      </button>
+                    )}
+                  </div>
+                )}
+
                 {/* Sargam Toggle */}
                 <button
                   onClick={() => setShowSargam(!showSargam)}
@@ -310,6 +792,49 @@ function App() {
                   <span>{showSargam ? 'Sargam' : 'A B C'}</span>
                 </button>
 
+                {/* Western notation mode (letters / solfège) */}
+                {!showSargam && (
+                  <div className="flex items-center gap-2 bg-gray-900 px-3 py-1.5 rounded-lg border border-gray-800">
+                    <span className="text-xs text-gray-400 uppercase font-bold">Names</span>
+                    <select
+                      value={westernMode}
+                      onChange={(e) => setWesternMode(e.target.value)}
+                      className="bg-transparent text-indigo-400 font-bold focus:outline-none cursor-pointer"
+                    >
+                      {Object.entries(WESTERN_MODES).map(([key, label]) => (
+                        <option key={key} value={key} className="bg-gray-900">{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {/* Tuning system for sargam (equal / just / shruti) */}
+                {showSargam && (
+                  <div className="flex items-center gap-2 bg-gray-900 px-3 py-1.5 rounded-lg border border-gray-800" title="Where the swaras sit relative to Sa">
+                    <span className="text-xs text-gray-400 uppercase font-bold">Tuning</span>
+                    <select
+                      value={tuningSystem}
+                      onChange={(e) => setTuningSystem(e.target.value)}
+                      className="bg-transparent text-indigo-400 font-bold focus:outline-none cursor-pointer"
+                    >
+                      {Object.entries(TUNING_SYSTEMS).map(([key, label]) => (
+                        <option key={key} value={key} className="bg-gray-900">{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {/* Sargam script (Latin / Devanagari) */}
+                {showSargam && (
+                  <button
+                    onClick={() => setSargamScript(prev => prev === 'latin' ? 'devanagari' : 'latin')}
+                    className="px-3 py-1.5 rounded-lg text-sm font-medium transition bg-gray-800 text-gray-300 hover:bg-gray-700"
+                    title="Switch between Latin and Devanagari swara names"
+                  >
+                    {sargamScript === 'latin' ? 'Sa Re Ga' : 'सा रे ग'}
+                  </button>
+                )}
+
                 {/* Spectrogram Toggle */}
                 <button
                   onClick={() => setShowSpectrogram(!showSpectrogram)}
@@ -319,6 +844,30 @@ function App() {
                   <span>Spectrogram</span>
                 </button>
 
+                {/* Karaoke Toggle + Strength */}
+                <div className={`flex items-center gap-2 rounded-lg text-sm font-medium transition ${karaokeEnabled ? 'bg-pink-600 text-white shadow-lg shadow-pink-500/20 pr-3' : ''}`}>
+                  <button
+                    onClick={() => setKaraokeEnabled(!karaokeEnabled)}
+                    className={`flex items-center gap-2 px-3 py-1.5 rounded-lg transition ${karaokeEnabled ? '' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'}`}
+                    title="Reduce the centre-panned lead vocal (stereo songs)"
+                  >
+                    <MicOff size={16} />
+                    <span>Karaoke</span>
+                  </button>
+                  {karaokeEnabled && (
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={karaokeStrength}
+                      onChange={(e) => setKaraokeStrength(Number(e.target.value))}
+                      className="w-20 h-2 bg-pink-900 rounded-lg appearance-none cursor-pointer accent-white"
+                      title={`Vocal reduction ${Math.round(karaokeStrength * 100)}%`}
+                    />
+                  )}
+                </div>
+
                 {/* Notation Mode Toggle */}
                 <button
                   onClick={() => setNotationMode(prev => prev === 'axis' ? 'floating' : 'axis')}
@@ -327,27 +876,50 @@ function App() {
                   <Activity size={16} />
                   <span>{notationMode === 'axis' ? 'Axis Mode' : 'Floating Mode'}</span>
                 </button>
+
+                {/* Notation Sheet (print / text / MusicXML) */}
+                <button
+                  onClick={() => setShowNotation(true)}
+                  disabled={!songNotes.length}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium transition bg-gray-800 text-gray-400 hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                  title="Written notation of the song's notes"
+                >
+                  <FileText size={16} />
+                  <span>Notation</span>
+                </button>
               </div>
             </div>
 
+            {/* Raga aaroh/avaroh (or custom swara picker) */}
+            <RagaReference
+              ragaKey={raga}
+              customSwaras={customSwaras}
+              onCustomSwarasChange={setCustomSwaras}
+              script={sargamScript}
+            />
+
             {/* NOTE DISPLAY - The "Caroke" Feature */}
-            <div className="flex justify-center">
+            <div className="flex flex-col md:flex-row items-center justify-center gap-6">
               <div className={`
-                        relative flex flex-col items-center justify-center w-full md:w-64 h-32 rounded-2xl border transition-all duration-300
+                        relative flex flex-col items-center justify-center w-full md:w-64 h-44 rounded-2xl border transition-all duration-300
                         ${currentNote
                   ? 'bg-gradient-to-br from-indigo-600 to-purple-800 border-indigo-400/50 shadow-2xl shadow-indigo-500/20 scale-105'
                   : 'bg-gray-900/50 border-gray-800 grayscale opacity-80'}
                     `}>
                 <div className="absolute top-3 left-4 text-xs font-bold tracking-wider text-white/50 uppercase">Current Note</div>
+                {currentNote && display.outOfRaga && (
+                  <div className="absolute top-3 right-4 text-xs font-bold tracking-wider text-amber-300 uppercase">Not in raga</div>
+                )}
 
                 {currentNote ? (
                   <>
                     <div className="text-5xl font-black text-white tracking-tighter drop-shadow-lg">
-                      {display.main}
+                      {display.swara ? <SwaraLabel swara={display.swara} /> : display.main}
                     </div>
                     <div className="text-sm font-mono text-indigo-200 mt-1 opacity-80">
                       {display.sub}
                     </div>
+                    <CentsMeter cents={display.cents} tolerance={centsTolerance} />
                   </>
                 ) : (
                   <div className="flex flex-col items-center text-gray-600 gap-2">
@@ -356,8 +928,55 @@ function App() {
                   </div>
                 )}
               </div>
+
+              {/* Live mic readout while recording */}
+              {isRecording && (
+                <div className={`
+                        relative flex flex-col items-center justify-center w-full md:w-64 h-44 rounded-2xl border transition-all duration-300
+                        ${liveNote
+                    ? 'bg-gradient-to-br from-orange-500 to-red-700 border-orange-400/50 shadow-2xl shadow-orange-500/20 scale-105'
+                    : 'bg-gray-900/50 border-gray-800 opacity-80'}
+                    `}>
+                  <div className="absolute top-3 left-4 text-xs font-bold tracking-wider text-white/50 uppercase">Your Note</div>
+                  {liveNote && liveDisplay.outOfRaga && (
+                    <div className="absolute top-3 right-4 text-xs font-bold tracking-wider text-amber-300 uppercase">Not in raga</div>
+                  )}
+
+                  {liveNote ? (
+                    <>
+                      <div className="text-5xl font-black text-white tracking-tighter drop-shadow-lg">
+                        {liveDisplay.swara ? <SwaraLabel swara={liveDisplay.swara} /> : liveDisplay.main}
+                      </div>
+                      <div className="text-sm font-mono text-orange-100 mt-1 opacity-80">
+                        {liveDisplay.sub}
+                      </div>
+                      <CentsMeter cents={liveDisplay.cents} tolerance={centsTolerance} />
+                    </>
+                  ) : (
+                    <div className="flex flex-col items-center text-gray-600 gap-2">
+                      <Mic2 size={24} />
+                      <span className="text-sm">Sing...</span>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
 
+            {/* Cents meter tolerance */}
+            <label className="flex items-center justify-center gap-3 text-xs text-gray-400" title="How far from the note still counts as in tune">
+              <span className="uppercase font-bold tracking-wider">In-tune tolerance</span>
+              <input
+                type="range"
+                min="2"
+                max="30"
+                step="1"
+                value={centsTolerance}
+                onChange={(e) => setCentsTolerance(Number(e.target.value))}
+                className="w-32 accent-emerald-500"
+              />
+              <span className="font-mono text-gray-200 w-10">±{centsTolerance}¢</span>
+            </label>
+
             {/* Visualizer + Controls Fullscreen Container */}
             <div
               ref={visualizerContainerRef}
@@ -386,11 +1005,39 @@ function App() {
                   showSpectrogram={showSpectrogram}
                   showSargam={showSargam}
                   rootKey={rootKey}
+                  ragaSwaras={ragaSwaras}
+                  sargamScript={sargamScript}
+                  westernMode={westernMode}
+                  tuningSystem={tuningSystem}
                   notationMode={notationMode}
+                  transposeSemitones={transposeSemitones}
+                  transposeCents={transposeCents}
+                  karaokeEnabled={karaokeEnabled}
+                  karaokeStrength={karaokeStrength}
                   isFullscreen={isFullscreen}
                   onFinish={() => setIsPlaying(false)}
                   onPitchUpdate={setCurrentNote}
                   onRecordingComplete={handleRecordingComplete}
+                  onScoreUpdate={handleScoreUpdate}
+                  onLivePitchUpdate={setLiveNote}
+                  onTonicDetected={setDetectedTonic}
+                  onNotesChange={handleNotesChange}
+                  songPipeline={analysisSettings.song}
+                  micPipeline={analysisSettings.mic}
+                  fadeBelow={analysisSettings.fadeBelow}
+                  targetNotes={targetNotes}
+                  useTargetNotes={targetSettings.useForNotes}
+                  cachedAnalysis={cachedAnalysis}
+                  onAnalysisComplete={handleAnalysisComplete}
+                  savedRegions={regions}
+                  onRegionsChange={handleRegionsChange}
+                  activeRegionId={activeRegionId}
+                  onRegionActivate={setActiveRegionId}
+                  loopMode={loopMode}
+                  onMarkerChange={setMarkerA}
+                  onRegionLoop={handleRegionLoop}
+                  scoredTake={currentTake}
+                  takeLines={takeLines}
                 />
               </div>
 
@@ -542,6 +1189,9 @@ function App() {
                   onPlaybackRateChange={setPlaybackRate}
                   onAddRegion={handleAddRegion}
                   onClearRegions={handleClearRegions}
+                  markerA={markerA}
+                  onSetMarkerA={handleSetMarkerA}
+                  onSetMarkerB={handleSetMarkerB}
                   zoom={zoom}
                   onZoomChange={setZoom}
                   onSkipBackward={handleSkipBackward}
@@ -550,9 +1200,78 @@ function App() {
                   onRecordToggle={handleRecordToggle}
                   userAudioUrl={userAudioUrl}
                   onPlayRecording={handlePlayRecording}
+                  transposeSemitones={transposeSemitones}
+                  onTransposeChange={handleTransposeChange}
+                  transposeCents={transposeCents}
+                  onTransposeCentsChange={setTransposeCents}
                 />
               )}
             </div> {/* End Fullscreen Container */}
+
+            {/* Loop Regions */}
+            <RegionList
+              regions={regions}
+              activeRegionId={activeRegionId}
+              loopMode={loopMode}
+              onLoopModeChange={setLoopMode}
+              onPlay={handlePlayRegion}
+              onRename={handleRenameRegion}
+              onRemove={handleRemoveRegion}
+            />
+
+            {/* Target Melody (MIDI reference) */}
+            <TargetMelodyPanel
+              melody={targetMelody}
+              settings={targetSettings}
+              onLoadFile={handleLoadTargetMidi}
+              onSettingsChange={setTargetSettings}
+              onClear={() => setTargetMelody(null)}
+              error={targetError}
+            />
+
+            {/* Pitch Analysis */}
+            <AnalysisSettings
+              settings={analysisSettings}
+              onSettingsChange={setAnalysisSettings}
+            />
+
+            {/* Speed Trainer */}
+            <SpeedTrainer
+              settings={trainer}
+              onSettingsChange={handleTrainerChange}
+              passes={trainerPasses}
+              playbackRate={playbackRate}
+              hasActiveLoop={!!activeRegionId && loopMode === 'loop'}
+            />
+
+            {/* Recorded Takes */}
+            <TakeList
+              takes={takes}
+              visibleTakeIds={visibleTakeIds}
+              currentTakeId={currentTakeId}
+              onToggleVisible={handleToggleTakeVisible}
+              onToggleStar={(id) => updateTakeFields(id, { starred: !takes.find(t => t.id === id)?.starred })}
+              onRename={(id, name) => updateTakeFields(id, { name })}
+              onPlay={handlePlayTake}
+              onExport={handleExportTake}
+              onExportMidi={handleExportTakeMidi}
+              midiPitchBend={midiPitchBend}
+              onMidiPitchBendChange={setMidiPitchBend}
+              exportingTakeId={exportingTakeId}
+              mixBalance={mixBalance}
+              onMixBalanceChange={setMixBalance}
+              onSelect={(id) => selectTake(takes.find(t => t.id === id))}
+              onDelete={handleDeleteTake}
+            />
+
+            {/* Take Score (after each recording) */}
+            {!isRecording && (
+              <ScorePanel
+                score={takeScore}
+                onSeek={handleSeekToTime}
+                onClose={() => setTakeScore(null)}
+              />
+            )}
           </div>
         )}
 
@@ -560,9 +1279,9 @@ function App() {
 
       {/* Footer Instructions */}
       {audioFile && (
-        <div className="max-w-6xl mx-auto px-8 pb-12 opacity-50 text-xs text-center">
+        <div className="max-w-6xl mx-auto px-8 pb-12 opacity-50 text-xs text-center print:hidden">
           <p className="text-gray-500">
-            Space: Play/Pause | Arrows: Seek | L: Loop | C: Clear
+            Space: Play/Pause | Arrows: Seek | L: Loop | A/B: Mark Loop | N/P: Next/Prev Phrase | C: Clear
           </p>
         </div>
       )}
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { Cpu, ChevronDown, ChevronUp } from 'lucide-react';
+import { DETECTORS, WINDOW_SIZES, HOP_SIZES, DEFAULT_THRESHOLDS } from '../utils/detectors';
+import { ANALYSIS_PRESETS, findPreset } from '../utils/analysisPipeline';
+import NumberField from './NumberField';
+
+const selectClass = "px-2 py-1 bg-gray-900 border border-gray-700 rounded text-gray-200 text-sm focus:outline-none focus:border-indigo-500";
+
+const SelectField = ({ label, value, options, onChange }) => (
+    <label className="flex items-center justify-between gap-2 text-xs text-gray-400">
+        <span className="uppercase font-bold tracking-wider">{label}</span>
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClass}>
+            {options.map(([key, text]) => <option key={key} value={key}>{text}</option>)}
+        </select>
+    </label>
+);
+
+const presetLabel = (pipeline) => {
+    const key = findPreset(pipeline);
+    return key ? ANALYSIS_PRESETS[key].label : 'Custom';
+};
+
+// One column of settings: preset, detector (algorithm, window/hop, threshold) and smoothing
+const PipelineColumn = ({ title, pipeline, onChange }) => {
+    const { detector } = pipeline;
+    const updatePipeline = (patch) => onChange({ ...pipeline, ...patch });
+    const update = (patch) => updatePipeline({ detector: { ...detector, ...patch } });
+    const spec = DETECTORS[detector.algorithm].threshold;
+    const presetKey = findPreset(pipeline);
+
+    return (
+        <div className="flex-1 min-w-[14rem] space-y-3">
+            <h4 className="text-sm font-bold text-gray-300">{title}</h4>
+            <SelectField
+                label="Preset"
+                value={presetKey || 'custom'}
+                options={[
+                    ...Object.entries(ANALYSIS_PRESETS).map(([key, preset]) => [key, preset.label]),
+                    ...(presetKey ? [] : [['custom', 'Custom']])
+                ]}
+                onChange={(key) => ANALYSIS_PRESETS[key] && onChange(ANALYSIS_PRESETS[key].pipeline)}
+            />
+            {presetKey && <p className="text-xs text-gray-500">{ANALYSIS_PRESETS[presetKey].hint}</p>}
+            <SelectField
+                label="Algorithm"
+                value={detector.algorithm}
+                options={Object.entries(DETECTORS).map(([key, d]) => [key, d.label])}
+                onChange={(algorithm) => update({ algorithm, threshold: DEFAULT_THRESHOLDS[algorithm] })}
+            />
+            <SelectField
+                label="Window"
+                value={detector.windowSize}
+                options={WINDOW_SIZES.map(size => [size, `${size} samples`])}
+                onChange={(v) => update({ windowSize: Number(v) })}
+            />
+            <SelectField
+                label="Hop"
+                value={detector.hopSize}
+                options={HOP_SIZES.map(size => [size, `${size} samples`])}
+                onChange={(v) => update({ hopSize: Number(v) })}
+            />
+            {spec ? (
+                <label className="block text-xs text-gray-400" title={spec.hint}>
+                    <div className="flex justify-between">
+                        <span className="uppercase font-bold tracking-wider">{spec.label}</span>
+                        <span className="font-mono text-gray-200">{detector.threshold.toFixed(2)}</span>
+                    </div>
+                    <input
+                        type="range"
+                        min={spec.min}
+                        max={spec.max}
+                        step={spec.step}
+                        value={detector.threshold}
+                        onChange={(e) => update({ threshold: Number(e.target.value) })}
+                        className="w-full accent-indigo-500"
+                    />
+                    <span className="text-gray-500">{spec.hint}</span>
+                </label>
+            ) : (
+                <p className="text-xs text-gray-500">No threshold to tune for this algorithm.</p>
+            )}
+
+            <div className="flex flex-wrap items-center gap-4 pt-2 text-xs text-gray-400">
+                <label className="flex items-center gap-2 cursor-pointer" title="Peak-normalize before detection">
+                    <input type="checkbox" checked={pipeline.normalize} className="accent-indigo-500"
+                        onChange={(e) => updatePipeline({ normalize: e.target.checked })} />
+                    <span>Normalize</span>
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer" title="Remove single-frame spikes">
+                    <input type="checkbox" checked={pipeline.medianFilter} className="accent-indigo-500"
+                        onChange={(e) => updatePipeline({ medianFilter: e.target.checked })} />
+                    <span>Median filter</span>
+                </label>
+                <NumberField
+                    label="Fill gaps"
+                    value={pipeline.fillGaps}
+                    min={0}
+                    max={3}
+                    step={0.05}
+                    suffix="s"
+                    title="Join the line across short silences (0 = off)"
+                    onChange={(fillGaps) => updatePipeline({ fillGaps: Math.max(0, fillGaps) })}
+                />
+            </div>
+        </div>
+    );
+};
+
+// Analysis pipeline for the song (green line) and the mic (takes + live orange line)
+const AnalysisSettings = ({ settings, onSettingsChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const update = (patch) => onSettingsChange({ ...settings, ...patch });
+
+    return (
+        <div className="bg-gray-800 p-4 rounded-xl shadow-2xl border border-gray-700 w-full max-w-4xl mx-auto mt-6">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex items-center justify-between text-xs text-gray-400 uppercase font-bold tracking-wider"
+            >
+                <span className="flex items-center gap-2">
+                    <Cpu size={14} />
+                    Pitch Analysis
+                    <span className="normal-case font-normal text-gray-500">
+                        · Song: {presetLabel(settings.song)} · Mic: {presetLabel(settings.mic)}
+                    </span>
+                </span>
+                {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+            </button>
+
+            {isOpen && (
+                <div className="mt-4 space-y-4">
+                    <div className="flex flex-wrap gap-6">
+                        <PipelineColumn title="Song" pipeline={settings.song} onChange={(song) => update({ song })} />
+                        <PipelineColumn title="Mic" pipeline={settings.mic} onChange={(mic) => update({ mic })} />
+                    </div>
+
+                    <label className="block text-xs text-gray-400 pt-3 border-t border-gray-700">
+                        <div className="flex justify-between">
+                            <span className="uppercase font-bold tracking-wider">Fade below confidence</span>
+                            <span className="font-mono text-gray-200">
+                                {settings.fadeBelow > 0 ? `${Math.round(settings.fadeBelow * 100)}%` : 'Off'}
+                            </span>
+                        </div>
+                        <input
+                            type="range"
+                            min={0}
+                            max={1}
+                            step={0.05}
+                            value={settings.fadeBelow}
+                            onChange={(e) => update({ fadeBelow: Number(e.target.value) })}
+                            className="w-full accent-indigo-500"
+                        />
+                        <span className="text-gray-500">Pitch points the detector is unsure about are drawn fainter.</span>
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AnalysisSettings;
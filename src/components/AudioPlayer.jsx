@@ -1,12 +1,56 @@
 import React, { useEffect, useRef, useImperativeHandle, forwardRef, useState, useMemo } from 'react';
 import WaveSurfer from 'wavesurfer.js';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
 import RegionsPlugin from 'wavesurfer.js/dist/plugins/regions.esm.js';
 import SpectrogramPlugin from 'wavesurfer.js/dist/plugins/spectrogram.esm.js';
-import { YIN } from 'pitchfinder';
-
-// Note Helpers
-const NOTES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
-const SARGAM_MAPPING = ["Sa", "re", "Re", "ga", "Ga", "Ma", "MA", "Pa", "dha", "Dha", "ni", "Ni"];
+import { scoreTake } from '../utils/scoring';
+import { takeToSongTime, mapTakeSegments } from '../utils/takeTiming';
+import { createLivePitchTracker } from '../utils/livePitch';
+import { runPitchAnalysis } from '../utils/pitchAnalysisClient';
+import { DEFAULT_SONG_PIPELINE, DEFAULT_MIC_PIPELINE, samePipeline } from '../utils/analysisPipeline';
+import { NOTES, midiToFreq, midiToNoteName } from '../utils/notes';
+import { findMadhyaSa, getSwara, drawSwara } from '../utils/swaras';
+import SwaraLabel from './SwaraLabel';
+import { getWesternName, centsOffset, formatCents } from '../utils/westernNotes';
+import { getSaReference, getTuningBands, classifyPitch } from '../utils/tuning';
+import { extractStableNotes, freqToMidi } from '../utils/stableNotes';
+import { intervalFromSa, isOutOfRaga } from '../utils/ragas';
+import { detectOrnaments, describeOrnament, ORNAMENT_TYPES } from '../utils/ornaments';
+import { computeEnergyEnvelope, segmentPhrases, phrasePosition, PHRASE_PAD } from '../utils/phrases';
+import { detectTonic } from '../utils/tonic';
+import { createPlaybackGraph, semitonesToRatio } from '../utils/playbackGraph';
+import { ANALYSIS_VERSION } from '../utils/library';
+import { loadLatency, getDeviceKey } from '../utils/latency';
+
+// Loop region palette (cycled as regions are added)
+const REGION_COLORS = [
+    'rgba(99, 102, 241, 0.3)',
+    'rgba(236, 72, 153, 0.3)',
+    'rgba(16, 185, 129, 0.3)',
+    'rgba(245, 158, 11, 0.3)',
+    'rgba(14, 165, 233, 0.3)',
+    'rgba(168, 85, 247, 0.3)'
+];
+const AB_MARKER_ID = 'ab-marker';
+// The phrase loop keeps a fixed id so a restored one is reused, not duplicated
+const PHRASE_LOOP_ID = 'phrase-loop';
+// Pitch range of the graph (C2 to C6)
+const GRAPH_MIN_FREQ = 65.41;
+const GRAPH_MAX_FREQ = 1046.50;
+const OUT_OF_RAGA_COLOR = '#F59E0B'; // Amber — notes the selected raga doesn't use
+
+// Segment covering `time` in a time-sorted segment list (binary search), or null
+const findSegmentAt = (segments, time) => {
+    let lo = 0;
+    let hi = segments.length - 1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (segments[mid].endTime < time) lo = mid + 1;
+        else if (segments[mid].startTime > time) hi = mid - 1;
+        else return segments[mid];
+    }
+    return null;
+};
 
 const AudioPlayer = forwardRef(({
     audioFile,
@@ -17,24 +61,57 @@ const AudioPlayer = forwardRef(({
     showSpectrogram,
     showSargam,
     rootKey,
+    ragaSwaras, // Semitones above Sa allowed by the selected raga (null = no raga)
+    sargamScript = 'latin', // 'latin' (Sa Re Ga) or 'devanagari' (सा रे ग)
+    westernMode = 'letters', // With sargam off: 'letters', 'movableDo' or 'fixedDo'
+    tuningSystem = 'equal', // Sargam bands/classification: 'equal', 'just' or 'shruti'
     notationMode, // 'axis' or 'floating'
+    transposeSemitones = 0,
+    transposeCents = 0,
+    karaokeEnabled = false,
+    karaokeStrength = 0.8, // 0..1 — how much of the centre vocal band to remove
     isFullscreen,
     onReady,
     onFinish,
     onRegionCreated,
+    onRegionActivate, // Callback with region id when a loop is created or clicked (or a phrase loop moves)
+    onMarkerChange, // Callback with the pending A marker time (or null)
+    activeRegionId, // The one region that loops (others play through)
+    loopMode = 'loop', // 'loop' repeats the active region, 'through' plays on
+    onRegionLoop, // Callback with region id each time the active region repeats
     onPitchUpdate,
-    onRecordingComplete // Callback with { audioBlob, pitchSegments }
+    onRecordingComplete, // Callback with { blob, segments, offset, duration, latency, timeline }
+    onScoreUpdate, // Callback with take score (or null) after each recording
+    onLivePitchUpdate, // Callback with { frequency, note } (or null) from the mic while recording
+    onTonicDetected, // Callback with { tonic, confidence, candidates } once the song is analyzed
+    onNotesChange, // Callback with (stableNotes, pitch segments, ornaments) whenever they are recalculated
+    cachedAnalysis, // Saved { version, pipeline, segments, pitches, duration } — skips re-analysis
+    onAnalysisComplete, // Callback with fresh analysis so it can be cached
+    savedRegions, // Loop regions to restore once the song is ready
+    onRegionsChange, // Callback with [{ id, start, end, content, color }] whenever regions change
+    scoredTake, // { segments, offset, latency, timeline, duration } of the take to score
+    songPipeline = DEFAULT_SONG_PIPELINE, // Analysis pipeline for the song (see analysisPipeline.js)
+    micPipeline = DEFAULT_MIC_PIPELINE, // ...and for takes and the live mic line
+    fadeBelow = 0, // Pitch-line points below this confidence fade out (0 = off)
+    targetNotes, // Imported reference melody [{ startTime, endTime, midi }] (already aligned)
+    useTargetNotes = false, // Use targetNotes instead of the detected stable notes
+    takeLines // Finished takes to draw: [{ id, segments, offset, latency, timeline, color }]
 }, ref) => {
     const containerRef = useRef(null);
     const spectrogramRef = useRef(null);
     const wavesurferRef = useRef(null);
     const regionsPluginRef = useRef(null);
+    const playbackGraphRef = useRef(null); // Web Audio effects chain (created on demand)
 
     // Recording Refs
     const mediaRecorderRef = useRef(null);
     const audioChunksRef = useRef([]);
     const activeStreamRef = useRef(null); // Track mic stream for cleanup
-    const recordingStartOffsetRef = useRef(0); // To sync recording with song
+    const recordingTimingRef = useRef({}); // { offset, latency, timeline } — syncs the take with the song
+    const recordingClockRef = useRef(0); // performance.now() when the recorder started
+    const recordingDurationRef = useRef(null); // Length of last take (for scoring window)
+    const liveTrackerRef = useRef(null); // Real-time mic pitch tracker
+    const liveSegmentsRef = useRef([]); // Orange line built while recording
     const [isRecording, setIsRecording] = useState(false);
     const [userPitchSegments, setUserPitchSegments] = useState([]); // Store recorded pitch
 
@@ -42,6 +119,126 @@ const AudioPlayer = forwardRef(({
     const [error, setError] = useState(null);
     const [pitchData, setPitchData] = useState([]);
     const [decodingDuration, setDecodingDuration] = useState(0);
+    const [pitchSegments, setPitchSegments] = useState([]); // Song pitch line
+    const [energyEnvelope, setEnergyEnvelope] = useState(null); // RMS levels for phrase splitting
+
+    // Loop behaviour is read inside WaveSurfer event handlers, so mirror it in refs
+    const activeRegionIdRef = useRef(activeRegionId);
+    const loopModeRef = useRef(loopMode);
+    useEffect(() => { activeRegionIdRef.current = activeRegionId; }, [activeRegionId]);
+    useEffect(() => { loopModeRef.current = loopMode; }, [loopMode]);
+    const onRegionLoopRef = useRef(onRegionLoop);
+    useEffect(() => { onRegionLoopRef.current = onRegionLoop; }, [onRegionLoop]);
+
+    const findRegion = (id) => regionsPluginRef.current?.getRegions().find(r => r.id === id);
+
+    // Report loop regions (minus the pending A marker) so they can be listed and saved
+    const reportRegions = (removed) => {
+        if (!onRegionsChange || !regionsPluginRef.current) return;
+        onRegionsChange(regionsPluginRef.current.getRegions()
+            .filter(r => r !== removed && r.id !== AB_MARKER_ID)
+            .map(r => ({ id: r.id, start: r.start, end: r.end, content: r.content?.textContent || '', color: r.color })));
+    };
+
+    const createLoopRegion = ({ id, start, end, name } = {}) => {
+        if (!isReady || !wavesurferRef.current || !regionsPluginRef.current) return;
+        const currentTime = wavesurferRef.current.getCurrentTime();
+        const count = regionsPluginRef.current.getRegions().filter(r => r.id !== AB_MARKER_ID).length;
+        const regionStart = start ?? currentTime;
+        const region = regionsPluginRef.current.addRegion({
+            id,
+            start: regionStart,
+            end: end ?? Math.min(regionStart + 5, wavesurferRef.current.getDuration()),
+            content: name || `Loop ${count + 1}`,
+            color: REGION_COLORS[count % REGION_COLORS.length],
+            drag: true,
+            resize: true,
+        });
+        onRegionActivate && onRegionActivate(region.id);
+        onRegionCreated && onRegionCreated(region);
+        return region;
+    };
+
+    // Sung lines (pitch gaps, plus quiet breaths when energy splitting is on)
+    const [splitAtBreaths, setSplitAtBreaths] = useState(true);
+    const phrases = useMemo(
+        () => segmentPhrases(pitchSegments, { energy: splitAtBreaths ? energyEnvelope : null }),
+        [pitchSegments, energyEnvelope, splitAtBreaths]
+    );
+
+    // Phrase loop: one region that moves from phrase to phrase (created on first use,
+    // or restored with the song's saved loops). Its phrase is found from its bounds.
+    const [phraseLoop, setPhraseLoop] = useState(null); // { start, end } of the region
+    const phraseLoopIndex = useMemo(() => {
+        if (!phraseLoop) return null;
+        const position = phrasePosition(phrases, (phraseLoop.start + phraseLoop.end) / 2);
+        return Number.isInteger(position) ? position : null;
+    }, [phraseLoop, phrases]);
+    const phraseLoopActive = phraseLoopIndex !== null && activeRegionId === PHRASE_LOOP_ID;
+
+    const loopPhrase = (index) => {
+        const phrase = phrases[index];
+        if (!phrase || !isReady || !wavesurferRef.current) return;
+        const ws = wavesurferRef.current;
+        const start = Math.max(0, phrase.startTime - PHRASE_PAD);
+        const end = Math.min(ws.getDuration(), phrase.endTime + PHRASE_PAD);
+        const name = `Phrase ${index + 1}`;
+
+        let region = findRegion(PHRASE_LOOP_ID);
+        if (region) {
+            region.setOptions({ start, end, content: name });
+            reportRegions();
+            onRegionActivate && onRegionActivate(region.id);
+        } else {
+            region = createLoopRegion({ id: PHRASE_LOOP_ID, start, end, name });
+            if (!region) return;
+        }
+        setPhraseLoop({ start, end });
+        ws.setTime(start);
+    };
+
+    // Step from the looped phrase (while its loop is active) or from the playhead
+    const stepPhrase = (direction) => {
+        if (!phrases.length || !wavesurferRef.current) return;
+        const fromLoop = phraseLoopActive && findRegion(PHRASE_LOOP_ID);
+        const position = fromLoop ? phraseLoopIndex : phrasePosition(phrases, wavesurferRef.current.getCurrentTime());
+        const target = direction > 0 ? Math.floor(position + 1) : Math.ceil(position - 1);
+        loopPhrase(Math.max(0, Math.min(phrases.length - 1, target)));
+    };
+
+
+    // While recording, log every song jump or speed change so the take can be
+    // mapped back onto song time (see takeTiming.js)
+    const markTakeTimeline = () => {
+        const ws = wavesurferRef.current;
+        const { timeline } = recordingTimingRef.current;
+        if (!ws || !timeline || !mediaRecorderRef.current || mediaRecorderRef.current.state === 'inactive') return;
+        timeline.push({
+            at: (performance.now() - recordingClockRef.current) / 1000,
+            time: ws.getCurrentTime(),
+            rate: ws.isPlaying() ? ws.getPlaybackRate() : 0
+        });
+    };
+
+    const stopLiveTracking = () => {
+        if (liveTrackerRef.current) {
+            liveTrackerRef.current.stop();
+            liveTrackerRef.current = null;
+            onLivePitchUpdate && onLivePitchUpdate(null);
+        }
+    };
+
+    // Release the mic tracker if the player unmounts mid-recording
+    useEffect(() => () => liveTrackerRef.current?.stop(), []);
+
+    // Helper: Convert frequency to Note
+    const getNote = (frequency) => {
+        if (!frequency) return null;
+        const pitch = Math.round(69 + 12 * Math.log2(frequency / 440));
+        const octave = Math.floor(pitch / 12) - 1;
+        const noteIndex = pitch % 12;
+        return NOTES[noteIndex] + octave;
+    };
 
     useImperativeHandle(ref, () => ({
         playPause: () => {
@@ -53,26 +250,58 @@ const AudioPlayer = forwardRef(({
         seekTo: (progress) => {
             if (isReady && wavesurferRef.current) wavesurferRef.current.seekTo(progress);
         },
+        seekToTime: (seconds) => {
+            if (isReady && wavesurferRef.current) wavesurferRef.current.setTime(seconds);
+        },
         skipAuthorization: (seconds) => {
             if (isReady && wavesurferRef.current) wavesurferRef.current.skip(seconds);
         },
-        addRegion: () => {
-            if (isReady && wavesurferRef.current && regionsPluginRef.current) {
-                const currentTime = wavesurferRef.current.getCurrentTime();
-                regionsPluginRef.current.clearRegions();
-                const region = regionsPluginRef.current.addRegion({
-                    start: currentTime,
-                    end: currentTime + 5,
-                    content: 'Loop',
-                    color: 'rgba(99, 102, 241, 0.3)',
-                    drag: true,
-                    resize: true,
-                });
-                onRegionCreated && onRegionCreated(region);
-            }
-        },
+        // Add a named loop region. Defaults to 5s from the playhead.
+        addRegion: (options) => { createLoopRegion(options); },
+        // Move the phrase loop to the next/previous detected phrase
+        nextPhrase: () => stepPhrase(1),
+        prevPhrase: () => stepPhrase(-1),
         clearRegions: () => {
             if (regionsPluginRef.current) regionsPluginRef.current.clearRegions();
+            onMarkerChange && onMarkerChange(null);
+        },
+        removeRegion: (id) => {
+            findRegion(id)?.remove();
+        },
+        renameRegion: (id, name) => {
+            const region = findRegion(id);
+            if (!region) return;
+            region.setContent(name);
+            reportRegions();
+        },
+        playRegion: (id) => {
+            const region = findRegion(id);
+            if (!region) return;
+            region.play();
+        },
+        // A/B workflow: mark A at the playhead, then B creates the region between them
+        setMarkerA: () => {
+            if (!isReady || !wavesurferRef.current || !regionsPluginRef.current) return;
+            const time = wavesurferRef.current.getCurrentTime();
+            findRegion(AB_MARKER_ID)?.remove();
+            regionsPluginRef.current.addRegion({
+                id: AB_MARKER_ID,
+                start: time,
+                content: 'A',
+                color: 'rgba(250, 204, 21, 0.9)',
+                drag: true,
+            });
+            onMarkerChange && onMarkerChange(time);
+        },
+        setMarkerB: () => {
+            const marker = findRegion(AB_MARKER_ID);
+            if (!marker || !wavesurferRef.current) return;
+            const timeA = marker.start;
+            const timeB = wavesurferRef.current.getCurrentTime();
+            if (Math.abs(timeB - timeA) < 0.1) return; // Too short to loop
+            marker.remove();
+            onMarkerChange && onMarkerChange(null);
+            createLoopRegion({ start: Math.min(timeA, timeB), end: Math.max(timeA, timeB) });
         },
         startRecording: async () => {
             try {
@@ -102,10 +331,41 @@ const AudioPlayer = forwardRef(({
                 mediaRecorderRef.current = mediaRecorder;
                 audioChunksRef.current = [];
 
-                // Capture current song time as offset for sync
-                if (wavesurferRef.current) {
-                    recordingStartOffsetRef.current = wavesurferRef.current.getCurrentTime();
-                }
+                // Song position and speed at the start of the take; the voice is pulled
+                // back by this mic's calibrated round-trip latency (Mic Diagnostic screen)
+                const latency = loadLatency(getDeviceKey(stream))?.latency || 0;
+                const ws = wavesurferRef.current;
+                const timeline = ws
+                    ? [{ at: 0, time: ws.getCurrentTime(), rate: ws.isPlaying() ? ws.getPlaybackRate() : 0 }]
+                    : [];
+                recordingTimingRef.current = { latency, timeline };
+                recordingTimingRef.current.offset = takeToSongTime(recordingTimingRef.current, 0);
+
+                // Live pitch: draw the orange line while the user sings.
+                // Canvas redraws are throttled to ~10/s since the graph spans the whole song.
+                liveSegmentsRef.current = [];
+                recordingDurationRef.current = null;
+                setUserPitchSegments([]);
+                let lastFlush = 0;
+                let lastTime = 0;
+                liveTrackerRef.current = createLivePitchTracker(stream, {
+                    pipeline: micPipeline,
+                    onFrame: ({ time, freq, confidence }) => {
+                        if (freq) {
+                            liveSegmentsRef.current.push({ startTime: lastTime, endTime: time, freq, confidence });
+                            onLivePitchUpdate && onLivePitchUpdate({ frequency: freq, note: getNote(freq) });
+                        } else {
+                            onLivePitchUpdate && onLivePitchUpdate(null);
+                        }
+                        lastTime = time;
+
+                        const now = performance.now();
+                        if (now - lastFlush > 100) {
+                            lastFlush = now;
+                            setUserPitchSegments([...liveSegmentsRef.current]);
+                        }
+                    }
+                });
 
                 mediaRecorder.ondataavailable = (event) => {
                     if (event.data.size > 0) {
@@ -114,6 +374,7 @@ const AudioPlayer = forwardRef(({
                 };
 
                 mediaRecorder.onstop = async () => {
+                    stopLiveTracking();
                     const audioBlob = new Blob(audioChunksRef.current, { type: actualMimeType });
 
                     // Analyze pitch
@@ -122,9 +383,18 @@ const AudioPlayer = forwardRef(({
                     const audioBuffer = await audioCtx.decodeAudioData(arrayBuffer);
 
                     const segments = await analyzeUserAudio(audioBuffer);
+                    if (!segments) return; // Cancelled — the song changed
+                    recordingDurationRef.current = audioBuffer.duration;
                     setUserPitchSegments(segments);
 
-                    onRecordingComplete && onRecordingComplete({ blob: audioBlob, segments });
+                    onRecordingComplete && onRecordingComplete({
+                        blob: audioBlob,
+                        segments,
+                        offset: recordingTimingRef.current.offset,
+                        duration: audioBuffer.duration,
+                        latency,
+                        timeline
+                    });
 
                     // Cleanup stream tracks to reset audio session back to normal
                     if (activeStreamRef.current) {
@@ -134,6 +404,7 @@ const AudioPlayer = forwardRef(({
                 };
 
                 mediaRecorder.start();
+                recordingClockRef.current = performance.now();
                 setIsRecording(true);
 
                 // MOBILE FIX: getUserMedia switches browser to "communication" mode
@@ -153,6 +424,7 @@ const AudioPlayer = forwardRef(({
             }
         },
         stopRecording: () => {
+            stopLiveTracking();
             if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
                 mediaRecorderRef.current.stop();
                 setIsRecording(false);
@@ -165,167 +437,116 @@ const AudioPlayer = forwardRef(({
         }
     }));
 
-    // Helper: Convert frequency to Note
-    const getNote = (frequency) => {
-        if (!frequency) return null;
-        const pitch = Math.round(69 + 12 * Math.log2(frequency / 440));
-        const octave = Math.floor(pitch / 12) - 1;
-        const noteIndex = pitch % 12;
-        return NOTES[noteIndex] + octave;
+    // Transpose: what the user hears is shifted, so the graph and labels follow.
+    // The analysis itself always stays on the original decoded buffer.
+    const pitchRatio = semitonesToRatio(transposeSemitones, transposeCents);
+    const shiftedSegments = useMemo(() => {
+        if (pitchRatio === 1) return pitchSegments;
+        return pitchSegments.map(seg => ({ ...seg, freq: seg.freq * pitchRatio }));
+    }, [pitchSegments, pitchRatio]);
+
+    // --- PITCH ANALYSIS (Web Worker) ---
+    const [analysisProgress, setAnalysisProgress] = useState(null); // 0..1 while the song job runs
+    const [takeProgress, setTakeProgress] = useState(null); // 0..1 while a recorded take is analyzed
+    const analysisJobsRef = useRef(new Set()); // Running jobs — cancelled when the song changes
+    const songJobRef = useRef(null); // Current song job — replaced when the pipeline settings change
+    const songPipelineRef = useRef(songPipeline); // Read by the WaveSurfer 'ready' handler
+    const analyzedPipelineRef = useRef(null); // Settings behind the current song analysis
+    useEffect(() => {
+        songPipelineRef.current = songPipeline;
+    }, [songPipeline]);
+
+    const startAnalysisJob = (buffer, handlers) => {
+        const job = runPitchAnalysis(buffer, handlers);
+        const forget = () => analysisJobsRef.current.delete(job);
+        analysisJobsRef.current.add(job);
+        job.promise.then(forget, forget);
+        return job;
     };
 
-    // State for Visualization
-    const [pitchSegments, setPitchSegments] = useState([]);
-
-    // Helper: Convert frequency to MIDI
-    const getMidi = (freq) => {
-        if (!freq) return null;
-        return Math.round(69 + 12 * Math.log2(freq / 440));
-    };
-
-    // --- SHARED PITCH ANALYSIS LOGIC ---
-    const processBufferToSegments = (buffer) => {
-        const detectPitch = YIN({ sampleRate: buffer.sampleRate }); // Standard YIN
-        const channelData = buffer.getChannelData(0);
-        const bufferSize = 2048;
-        const pitches = [];
-
-        const timePerFrame = bufferSize / buffer.sampleRate;
-
-        for (let i = 0; i < channelData.length; i += bufferSize) {
-            const chunk = channelData.slice(i, i + bufferSize);
-            const frequency = detectPitch(chunk);
-            pitches.push(frequency);
-        }
-
-        const segments = [];
-        for (let i = 0; i < pitches.length; i++) {
-            const freq = pitches[i];
-
-            // Basic noise gate (shared)
-            if (!freq || freq < 60 || freq > 1100) continue;
-
-            segments.push({
-                startTime: i * timePerFrame,
-                endTime: (i + 1) * timePerFrame,
-                freq: freq
-            });
-        }
-        return { pitches, segments };
+    const cancelAnalyses = () => {
+        analysisJobsRef.current.forEach(job => job.cancel());
+        analysisJobsRef.current.clear();
+        setAnalysisProgress(null);
+        setTakeProgress(null);
     };
 
     // Analyze Algorithm (File Upload)
     const analyzePitch = async (buffer) => {
         try {
+            const pipeline = songPipelineRef.current;
+            analyzedPipelineRef.current = pipeline;
+
+            // Reuse the library's cached analysis when it is still current
+            if (cachedAnalysis && cachedAnalysis.version === ANALYSIS_VERSION && samePipeline(cachedAnalysis.pipeline, pipeline)) {
+                setPitchData(cachedAnalysis.pitches);
+                setDecodingDuration(cachedAnalysis.duration);
+                setPitchSegments(cachedAnalysis.segments);
+                return;
+            }
+
             console.log("Analyzing File Pitch...");
-            const { pitches, segments } = processBufferToSegments(buffer);
+            // The graph fills in as the worker streams segments back
+            setPitchSegments([]);
+            setAnalysisProgress(0);
+            const job = startAnalysisJob(buffer, {
+                pipeline,
+                onPartial: (segments) => setPitchSegments(prev => [...prev, ...segments]),
+                onProgress: setAnalysisProgress
+            });
+            songJobRef.current = job;
+            const { pitches, segments } = await job.promise;
 
             setPitchData(pitches); // Keep for current note display
             setDecodingDuration(buffer.duration);
             setPitchSegments(segments);
+            setAnalysisProgress(null);
+            onAnalysisComplete && onAnalysisComplete({
+                version: ANALYSIS_VERSION,
+                pipeline,
+                segments,
+                pitches,
+                duration: buffer.duration
+            });
 
             console.log("Pitch analysis complete. Frames:", segments.length);
         } catch (e) {
+            if (e.name === 'AbortError') return; // Song changed mid-analysis
             console.error("Pitch analysis failed:", e);
+            setAnalysisProgress(null);
         }
     };
 
-    // Analyze User Recording — specialized for mic input
+    // Re-analyze the song when its pipeline settings change. analyzePitch reads
+    // props (cached analysis, callbacks), so the effect calls the latest one.
+    const analyzePitchRef = useRef(analyzePitch);
+    useEffect(() => { analyzePitchRef.current = analyzePitch; });
+    useEffect(() => {
+        if (!isReady || !wavesurferRef.current) return;
+        if (!analyzedPipelineRef.current || samePipeline(analyzedPipelineRef.current, songPipeline)) return;
+        const buffer = wavesurferRef.current.getDecodedData();
+        if (!buffer) return;
+        // Only the song job restarts — a take being analyzed keeps going
+        songJobRef.current?.cancel();
+        analyzePitchRef.current(buffer);
+    }, [songPipeline, isReady]);
+
+    // Analyze User Recording — specialized for mic input.
+    // Resolves with null if the job was cancelled (song changed).
     const analyzeUserAudio = async (buffer) => {
         try {
             console.log("Analyzing User Recording...");
             console.log(`Buffer: ${buffer.duration.toFixed(2)}s, SR: ${buffer.sampleRate}`);
 
-            // 1. NORMALIZE: Mic recordings are much quieter than files
-            const rawData = buffer.getChannelData(0);
-            let maxAmp = 0;
-            for (let i = 0; i < rawData.length; i++) {
-                const abs = Math.abs(rawData[i]);
-                if (abs > maxAmp) maxAmp = abs;
-            }
-            console.log(`Max amplitude: ${maxAmp.toFixed(4)}`);
-
-            if (maxAmp > 0.001) {
-                const gain = 0.9 / maxAmp; // Normalize to 90% peak
-                for (let i = 0; i < rawData.length; i++) {
-                    rawData[i] *= gain;
-                }
-                console.log(`Normalized with gain: ${gain.toFixed(2)}x`);
-            }
-
-            // 2. DETECT PITCH — same accuracy as file analysis + overlap for more data
-            // threshold=0.15 (slightly more lenient than file analysis for accuracy)
-            // Keep overlap for density, normalization handles the quiet signal
-            const detectPitch = YIN({
-                sampleRate: buffer.sampleRate,
-                threshold: 0.15,
-                probabilityThreshold: 0.05
-            });
-            const windowSize = 2048;  // Reliable for YIN
-            const hopSize = 512;      // 4x overlap = 4x more data points
-            const timePerHop = hopSize / buffer.sampleRate;
-            const pitches = [];
-
-            for (let i = 0; i + windowSize <= rawData.length; i += hopSize) {
-                const chunk = rawData.slice(i, i + windowSize);
-                const frequency = detectPitch(chunk);
-                pitches.push({ time: i / buffer.sampleRate, freq: frequency });
-            }
-
-            console.log(`Total frames: ${pitches.length}`);
-            const validCount = pitches.filter(p => p.freq && p.freq > 50 && p.freq < 1200).length;
-            console.log(`Valid detections: ${validCount} (${(validCount / pitches.length * 100).toFixed(1)}%)`)
-
-            // 3. BUILD RAW SEGMENTS
-            const rawSegments = [];
-            for (let i = 0; i < pitches.length; i++) {
-                const { time, freq } = pitches[i];
-                if (!freq || freq < 50 || freq > 1200) continue;
-                rawSegments.push({
-                    startTime: time,
-                    endTime: time + timePerHop,
-                    freq: freq
-                });
-            }
-
-            // 4. MEDIAN FILTER — remove spike outliers
-            const smoothedSegments = [];
-            for (let i = 0; i < rawSegments.length; i++) {
-                const prev = i > 0 ? rawSegments[i - 1].freq : rawSegments[i].freq;
-                const curr = rawSegments[i].freq;
-                const next = i < rawSegments.length - 1 ? rawSegments[i + 1].freq : curr;
-                const sorted = [prev, curr, next].sort((a, b) => a - b);
-                smoothedSegments.push({
-                    ...rawSegments[i],
-                    freq: sorted[1]
-                });
-            }
-
-            // 5. FILL GAPS up to 1.5s with interpolation
-            const filledSegments = [];
-            for (let i = 0; i < smoothedSegments.length; i++) {
-                filledSegments.push(smoothedSegments[i]);
-
-                if (i < smoothedSegments.length - 1) {
-                    const gap = smoothedSegments[i + 1].startTime - smoothedSegments[i].endTime;
-                    if (gap > 0 && gap < 1.5) {
-                        const steps = Math.max(1, Math.round(gap / timePerHop));
-                        for (let s = 1; s <= steps; s++) {
-                            const t = s / (steps + 1);
-                            filledSegments.push({
-                                startTime: smoothedSegments[i].endTime + (s - 1) * timePerHop,
-                                endTime: smoothedSegments[i].endTime + s * timePerHop,
-                                freq: smoothedSegments[i].freq * (1 - t) + smoothedSegments[i + 1].freq * t
-                            });
-                        }
-                    }
-                }
-            }
+            setTakeProgress(0);
+            const { segments } = await startAnalysisJob(buffer, { pipeline: micPipeline, onProgress: setTakeProgress }).promise;
+            setTakeProgress(null);
 
-            console.log(`User Analysis Done. Raw: ${rawSegments.length}, Filled: ${filledSegments.length}`);
-            return filledSegments;
+            return segments;
         } catch (e) {
+            if (e.name === 'AbortError') return null;
             console.error("User Analysis Failed:", e);
+            setTakeProgress(null);
             return [];
         }
     };
@@ -337,6 +558,8 @@ const AudioPlayer = forwardRef(({
         setIsReady(false);
         setError(null);
         setPitchData([]);
+        setEnergyEnvelope(null);
+        setPhraseLoop(null);
 
         let ws = null;
         let wsRegions = null;
@@ -384,11 +607,17 @@ const AudioPlayer = forwardRef(({
                 const buffer = ws.getDecodedData();
                 if (buffer) {
                     analyzePitch(buffer);
+                    setEnergyEnvelope(computeEnergyEnvelope(buffer));
                 }
             });
 
             ws.on('finish', () => onFinish && onFinish());
 
+            // Loop wraps, seeks and pauses while recording move the take against the song
+            ws.on('seeking', () => markTakeTimeline());
+            ws.on('play', () => markTakeTimeline());
+            ws.on('pause', () => markTakeTimeline());
+
             ws.on('timeupdate', (currentTime) => {
                 if (pitchData.length > 0 && decodingDuration > 0) {
                     const index = Math.floor((currentTime / decodingDuration) * pitchData.length);
@@ -417,9 +646,41 @@ const AudioPlayer = forwardRef(({
                 setIsReady(false);
             });
 
-            wsRegions.on('region-out', (region) => region.play());
+            // Restore saved loops and report every change so they can be persisted
+            ws.once('ready', () => {
+                (savedRegions || []).forEach(r => wsRegions.addRegion({ ...r, drag: true, resize: true }));
+            });
+            // Keep the phrase loop's bounds in step with its region (restored, dragged or deleted)
+            const trackPhraseLoop = (region, removed) => {
+                if (region.id !== PHRASE_LOOP_ID) return;
+                setPhraseLoop(removed ? null : { start: region.start, end: region.end });
+            };
+            wsRegions.on('region-created', (region) => {
+                trackPhraseLoop(region);
+                reportRegions();
+            });
+            wsRegions.on('region-updated', (region) => {
+                trackPhraseLoop(region);
+                reportRegions();
+            });
+            wsRegions.on('region-removed', (region) => {
+                trackPhraseLoop(region, true);
+                // Don't leave the pending A marker or the active loop pointing at a deleted region
+                if (region.id === AB_MARKER_ID) onMarkerChange && onMarkerChange(null);
+                if (region.id === activeRegionIdRef.current) onRegionActivate && onRegionActivate(null);
+                reportRegions(region);
+            });
+
+            wsRegions.on('region-out', (region) => {
+                if (loopModeRef.current === 'loop' && region.id === activeRegionIdRef.current) {
+                    region.play();
+                    onRegionLoopRef.current && onRegionLoopRef.current(region.id);
+                }
+            });
             wsRegions.on('region-clicked', (region, e) => {
                 e.stopPropagation();
+                if (region.id === AB_MARKER_ID) return;
+                onRegionActivate && onRegionActivate(region.id);
                 region.play();
             });
 
@@ -436,6 +697,13 @@ const AudioPlayer = forwardRef(({
         }
 
         return () => {
+            cancelAnalyses();
+            // Stop listening first — destroy() removes every region
+            if (wsRegions) wsRegions.unAll();
+            if (playbackGraphRef.current) {
+                playbackGraphRef.current.destroy();
+                playbackGraphRef.current = null;
+            }
             if (ws) {
                 try { url && URL.revokeObjectURL(url); } catch (e) { }
                 try { ws.destroy(); } catch (e) { console.warn("Error destroying wavesurfer:", e); }
@@ -444,85 +712,100 @@ const AudioPlayer = forwardRef(({
         };
     }, [audioFile, showSpectrogram]);
 
+    // Reference melody follows the playback transpose like the detected pitch does
+    const shiftedTargetNotes = useMemo(() => (targetNotes || []).map(note => {
+        const midi = note.midi + transposeSemitones;
+        return {
+            startTime: note.startTime,
+            endTime: note.endTime,
+            midi,
+            avgFreq: midiToFreq(midi) * Math.pow(2, transposeCents / 1200),
+            fullNote: midiToNoteName(midi)
+        };
+    }), [targetNotes, transposeSemitones, transposeCents]);
+
     // --- UNIFIED LOGIC: Pre-calculate Stable Notes ---
-    const stableNotes = useMemo(() => {
-        if (!pitchSegments.length) return [];
-
-        const events = [];
-        let currentRun = [];
-
-        const processRun = (run) => {
-            if (run.length === 0) return;
-
-            const startTime = run[0].startTime;
-            const endTime = run[run.length - 1].endTime;
-            const duration = endTime - startTime;
-
-            // "Secret Sauce": Duration Check > 150ms (0.15s)
-            if (duration > 0.15) {
-                const avgFreq = run.reduce((sum, s) => sum + s.freq, 0) / run.length;
-                const midi = getMidi(avgFreq);
-                const noteName = NOTES[midi % 12];
-                const octave = Math.floor(midi / 12) - 1;
-                const fullNote = `${noteName}${octave}`;
-
-                let label = fullNote;
-                // Pre-calculate Sargam Label
-                if (showSargam && rootKey) {
-                    const noteIndex = midi % 12; // midi % 12
-                    const noteOnly = NOTES[midi % 12];
-                    const rootIndex = NOTES.indexOf(rootKey);
-
-                    if (rootIndex !== -1) {
-                        let interval = (NOTES.indexOf(noteOnly) - rootIndex + 12) % 12;
-                        label = SARGAM_MAPPING[interval]; // e.g. Sa
-                    }
-                }
+    const noteEvents = useMemo(() => (
+        useTargetNotes && shiftedTargetNotes.length ? shiftedTargetNotes : extractStableNotes(shiftedSegments)
+    ), [shiftedSegments, shiftedTargetNotes, useTargetNotes]);
+
+    // Saptak reference for the axis and badges: the octave the song mostly sits in
+    const madhyaSa = useMemo(() => findMadhyaSa(noteEvents, rootKey), [noteEvents, rootKey]);
+    const useSwaras = showSargam && NOTES.includes(rootKey);
+
+    // Tuning system for sargam; Western names always use equal temperament
+    const tuning = useSwaras ? tuningSystem : 'equal';
+    const saReference = useMemo(() => getSaReference(rootKey) || getSaReference('C'), [rootKey]);
+    const tuningBands = useMemo(
+        () => getTuningBands(saReference, tuning, GRAPH_MIN_FREQ, GRAPH_MAX_FREQ),
+        [saReference, tuning]
+    );
 
-                events.push({
-                    startTime,
-                    endTime,
-                    avgFreq,
-                    midi,
-                    label, // e.g. "Sa" or "C4"
-                    fullNote, // "C4" (for matching)
-                    displayLabel: label // For Badge
-                });
-            }
+    const stableNotes = useMemo(() => noteEvents.map(event => {
+        // Pre-calculate Sargam Label
+        // Nearest position in the tuning system (swara, shruti and cents away from it)
+        const tuned = classifyPitch(event.avgFreq, saReference, tuning);
+        const swara = useSwaras ? getSwara(tuned.midi, { madhyaSa, script: sargamScript }) : null;
+        const label = swara ? swara.text : getWesternName(event.midi, { mode: westernMode, rootKey });
+        return {
+            ...event,
+            label, // e.g. "Sa", "D♭4" or "Sol"
+            displayLabel: label, // For Badge
+            swara, // { text, komal, tivra, saptak } in sargam mode
+            cents: centsOffset(event.avgFreq), // Signed offset from equal temperament
+            tuning: tuned,
+            outOfRaga: isOutOfRaga(tuned.midi, rootKey, ragaSwaras)
         };
+    }), [noteEvents, useSwaras, madhyaSa, sargamScript, westernMode, rootKey, ragaSwaras, saReference, tuning]);
+
+    // Meend, gamak/vibrato and kan in the song and in the scored take (mapped onto song time)
+    const songOrnaments = useMemo(() => detectOrnaments(shiftedSegments), [shiftedSegments]);
+    const takeOrnaments = useMemo(() => (
+        scoredTake ? mapTakeSegments(scoredTake, detectOrnaments(scoredTake.segments)) : []
+    ), [scoredTake]);
+
+    // Marks drawn on the pitch graph, for hover lookups: [{ x0, x1, y0, y1, ornament, source }]
+    const ornamentHitsRef = useRef([]);
+    const [hoveredOrnament, setHoveredOrnament] = useState(null); // { ornament, source, clientX, clientY }
+
+    // Swara or note name of a frequency, as the badges would show it
+    const nameFreq = (freq) => {
+        const tuned = classifyPitch(freq, saReference, tuning);
+        if (useSwaras) return getSwara(tuned.midi, { madhyaSa, script: sargamScript }).text;
+        return getWesternName(freqToMidi(freq), { mode: westernMode, rootKey });
+    };
 
-        for (let i = 0; i < pitchSegments.length; i++) {
-            const seg = pitchSegments[i];
-
-            // Check continuity with previous
-            if (currentRun.length > 0) {
-                const prev = currentRun[currentRun.length - 1];
-                const prevMidi = getMidi(prev.freq);
-                const currMidi = getMidi(seg.freq);
+    // Score whichever take is selected (latest by default)
+    useEffect(() => {
+        recordingTimingRef.current = scoredTake || {};
+        recordingDurationRef.current = scoredTake?.duration ?? null;
+        setUserPitchSegments(scoredTake?.segments || []);
+    }, [scoredTake]);
 
-                // If same note and close in time (< 0.1s gap)
-                if (prevMidi === currMidi && (seg.startTime - prev.endTime) < 0.1) {
-                    currentRun.push(seg);
-                } else {
-                    processRun(currentRun);
-                    currentRun = [seg];
-                }
-            } else {
-                currentRun = [seg];
-            }
-        }
-        processRun(currentRun);
+    useEffect(() => {
+        if (onNotesChange) onNotesChange(stableNotes, shiftedSegments, songOrnaments);
+    }, [stableNotes, shiftedSegments, songOrnaments, onNotesChange]);
 
-        return events;
-    }, [pitchSegments, showSargam, rootKey]);
+    // Suggest the song's Sa from its pitch content
+    useEffect(() => {
+        if (onTonicDetected) onTonicDetected(detectTonic(shiftedSegments));
+    }, [shiftedSegments, onTonicDetected]);
 
+    // Score the latest take against the song's stable notes
+    useEffect(() => {
+        if (!onScoreUpdate || liveTrackerRef.current) return; // Wait for the final take analysis
+        onScoreUpdate(scoreTake({
+            stableNotes,
+            userSegments: userPitchSegments,
+            timing: recordingTimingRef.current,
+            takeDuration: recordingDurationRef.current
+        }));
+    }, [stableNotes, userPitchSegments, onScoreUpdate]);
 
     // Helper to calculate Y position (reused for Overlay)
     const getFreqY = (freq, height) => {
-        const minFreq = 65.41;
-        const maxFreq = 1046.50;
-        const logMin = Math.log2(minFreq);
-        const logMax = Math.log2(maxFreq);
+        const logMin = Math.log2(GRAPH_MIN_FREQ);
+        const logMax = Math.log2(GRAPH_MAX_FREQ);
         const scaleY = height / (logMax - logMin);
         const logFreq = Math.log2(freq);
         return height - ((logFreq - logMin) * scaleY);
@@ -541,10 +824,12 @@ const AudioPlayer = forwardRef(({
             const event = stableNotes.find(e => time >= e.startTime && time <= e.endTime);
 
             if (event) {
-                setActiveNote(event.fullNote); // Highlight the Axis
-                // Also update the main "Current Note" display
+                setActiveNote(event); // Highlight the Axis
+                // Also update the main "Current Note" display. The frequency is the
+                // pitch right now (for the cents meter); midi is the held note.
                 if (onPitchUpdate) {
-                    onPitchUpdate({ note: event.fullNote, frequency: event.avgFreq });
+                    const segment = findSegmentAt(shiftedSegments, time);
+                    onPitchUpdate({ note: event.fullNote, midi: event.midi, tuning: event.tuning, frequency: segment?.freq || event.avgFreq });
                 }
             } else {
                 setActiveNote(null);
@@ -561,12 +846,12 @@ const AudioPlayer = forwardRef(({
             ws.un('audioprocess', checkPitch);
             ws.un('seeking', checkPitch);
         };
-    }, [isReady, stableNotes, onPitchUpdate]);
+    }, [isReady, stableNotes, shiftedSegments, onPitchUpdate]);
 
 
     // Pitch Graph Rendering
     useEffect(() => {
-        if (!wavesurferRef.current || !isReady || pitchSegments.length === 0) return;
+        if (!wavesurferRef.current || !isReady || shiftedSegments.length === 0) return;
 
         const ws = wavesurferRef.current;
         const wrapper = ws.getWrapper();
@@ -599,27 +884,38 @@ const AudioPlayer = forwardRef(({
 
         // --- 1. DRAW FREQUENCY BANDS (Static Background) ---
         // Only draw bands. No text. No active highlighting (backgrounds are static).
-        for (let midi = 36; midi <= 84; midi++) {
-            const freqCenter = 440 * Math.pow(2, (midi - 69) / 12);
-            const freqTop = freqCenter * Math.pow(2, 1 / 24);
-            const freqBottom = freqCenter * Math.pow(2, -1 / 24);
-
-            const yTop = getFreqY(freqTop, height);
-            const yBottom = getFreqY(freqBottom, height);
+        // Bands sit at the tuning system's positions relative to Sa.
+        tuningBands.forEach((band, i) => {
+            const yTop = getFreqY(band.high, height);
+            const yBottom = getFreqY(band.low, height);
             const bandHeight = Math.abs(yBottom - yTop);
 
             // Alternating faint bands
-            ctx.fillStyle = midi % 2 === 0 ? "rgba(255, 255, 255, 0.03)" : "rgba(255, 255, 255, 0.01)";
+            ctx.fillStyle = i % 2 === 0 ? "rgba(255, 255, 255, 0.03)" : "rgba(255, 255, 255, 0.01)";
             ctx.fillRect(0, yTop, width, bandHeight);
 
             // We removed the active logic from here to safe performance
-        }
+        });
 
         // --- 2. DRAW PITCH LINE ---
         const duration = ws.getDuration();
         if (!duration) return;
         const pxPerSec = width / duration;
 
+        // Target melody bars (imported MIDI) sit underneath the detected line
+        shiftedTargetNotes.forEach(note => {
+            const yTop = getFreqY(note.avgFreq * Math.pow(2, 1 / 24), height);
+            const yBottom = getFreqY(note.avgFreq * Math.pow(2, -1 / 24), height);
+            const x = note.startTime * pxPerSec;
+            const w = Math.max(2, (note.endTime - note.startTime) * pxPerSec);
+
+            ctx.fillStyle = "rgba(255, 255, 255, 0.18)";
+            ctx.fillRect(x, yTop, w, yBottom - yTop);
+            ctx.strokeStyle = "rgba(255, 255, 255, 0.45)";
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x, yTop, w, yBottom - yTop);
+        });
+
         // Glowing Green Curve
         ctx.lineWidth = 5;
         ctx.lineCap = 'round';
@@ -628,44 +924,62 @@ const AudioPlayer = forwardRef(({
         ctx.shadowBlur = 10;
         ctx.shadowColor = '#34D399';
 
+        // Low-confidence points fade out (fadeBelow = 0 disables fading).
+        // Alphas are quantized so a curve needs only a few stroke calls.
+        const fadeAlpha = (confidence) => {
+            if (!fadeBelow || confidence === undefined || confidence >= fadeBelow) return 1;
+            return Math.max(0.15, Math.round((confidence / fadeBelow) * 4) / 4);
+        };
+
+        // Each piece takes its weaker end's alpha; pieces are batched per alpha level
         const drawSmoothCurve = (ctx, points, tension = 0.5) => {
             if (points.length < 2) return;
-            ctx.beginPath();
-            ctx.moveTo(points[0].x, points[0].y);
-            if (points.length === 2) {
-                ctx.lineTo(points[1].x, points[1].y);
-                ctx.stroke();
-                return;
-            }
+            const piecesByAlpha = new Map();
             for (let i = 0; i < points.length - 1; i++) {
-                const p0 = i > 0 ? points[i - 1] : points[0];
-                const p1 = points[i];
-                const p2 = points[i + 1];
-                const p3 = i !== points.length - 2 ? points[i + 2] : p2;
-
-                const cp1x = p1.x + (p2.x - p0.x) / 6 * tension;
-                const cp1y = p1.y + (p2.y - p0.y) / 6 * tension;
-                const cp2x = p2.x - (p3.x - p1.x) / 6 * tension;
-                const cp2y = p2.y - (p3.y - p1.y) / 6 * tension;
-                ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, p2.x, p2.y);
+                const alpha = Math.min(points[i].alpha ?? 1, points[i + 1].alpha ?? 1);
+                if (!piecesByAlpha.has(alpha)) piecesByAlpha.set(alpha, []);
+                piecesByAlpha.get(alpha).push(i);
             }
-            ctx.stroke();
+
+            const baseAlpha = ctx.globalAlpha;
+            piecesByAlpha.forEach((pieces, alpha) => {
+                ctx.globalAlpha = baseAlpha * alpha;
+                ctx.beginPath();
+                let penAt = -1;
+                pieces.forEach(i => {
+                    const p0 = i > 0 ? points[i - 1] : points[0];
+                    const p1 = points[i];
+                    const p2 = points[i + 1];
+                    const p3 = i !== points.length - 2 ? points[i + 2] : p2;
+
+                    if (penAt !== i) ctx.moveTo(p1.x, p1.y);
+                    const cp1x = p1.x + (p2.x - p0.x) / 6 * tension;
+                    const cp1y = p1.y + (p2.y - p0.y) / 6 * tension;
+                    const cp2x = p2.x - (p3.x - p1.x) / 6 * tension;
+                    const cp2y = p2.y - (p3.y - p1.y) / 6 * tension;
+                    ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, p2.x, p2.y);
+                    penAt = i + 1;
+                });
+                ctx.stroke();
+            });
+            ctx.globalAlpha = baseAlpha;
         };
 
         let currentPath = [];
         let allPaths = [];
         let lastEndTime = -1;
 
-        for (let i = 0; i < pitchSegments.length; i++) {
-            const seg = pitchSegments[i];
+        for (let i = 0; i < shiftedSegments.length; i++) {
+            const seg = shiftedSegments[i];
             const x = seg.startTime * pxPerSec;
             const y = getFreqY(seg.freq, height);
+            const alpha = fadeAlpha(seg.confidence);
 
             if (currentPath.length > 0 && (seg.startTime - lastEndTime) < 3.0) {
-                currentPath.push({ x, y });
+                currentPath.push({ x, y, alpha });
             } else {
                 if (currentPath.length > 0) allPaths.push(currentPath);
-                currentPath = [{ x, y }];
+                currentPath = [{ x, y, alpha }];
             }
             lastEndTime = seg.endTime;
         }
@@ -679,75 +993,148 @@ const AudioPlayer = forwardRef(({
             drawSmoothCurve(ctx, path, 1.0);
         });
 
-        // --- 3. DRAW USER PITCH (Recorded - Orange) ---
-        if (userPitchSegments && userPitchSegments.length > 0) {
-            // DIAGNOSTIC LOGGING (remove after debugging)
-            if (!window._orangeLineLogged) {
-                window._orangeLineLogged = true;
-                const firstSeg = userPitchSegments[0];
-                const lastSeg = userPitchSegments[userPitchSegments.length - 1];
-                const freqs = userPitchSegments.map(s => s.freq);
-                const minFreq = Math.min(...freqs);
-                const maxFreq = Math.max(...freqs);
-                console.log("=== ORANGE LINE DEBUG ===");
-                console.log(`Total segments: ${userPitchSegments.length}`);
-                console.log(`Time range: ${firstSeg.startTime.toFixed(3)}s → ${lastSeg.endTime.toFixed(3)}s`);
-                console.log(`Freq range: ${minFreq.toFixed(1)}Hz → ${maxFreq.toFixed(1)}Hz`);
-                console.log(`Recording offset: ${recordingStartOffsetRef.current}`);
-                console.log(`pxPerSec: ${pxPerSec.toFixed(2)}, canvas width: ${width}`);
-                console.log(`Duration: ${duration.toFixed(2)}s`);
-                console.log("First 5 segments:", userPitchSegments.slice(0, 5));
-                console.log("Last 5 segments:", userPitchSegments.slice(-5));
-                console.log("========================");
-            }
+        // --- 3. DRAW USER PITCH (Takes in their own colors, live take in orange) ---
+        const userLines = [...(takeLines || [])];
+        if (isRecording && userPitchSegments.length > 0) {
+            userLines.push({ ...recordingTimingRef.current, segments: userPitchSegments, color: '#F97316' });
+        }
 
+        userLines.forEach(({ segments: takeSegments, color, ...timing }) => {
+            // Move the take onto song time (offset, playback rate, loop wraps)
+            const segments = mapTakeSegments(timing, takeSegments);
             ctx.lineWidth = 4;
-            ctx.strokeStyle = '#F97316'; // Orange-500
-            ctx.shadowColor = '#F97316';
+            ctx.strokeStyle = color;
+            ctx.shadowColor = color;
             ctx.shadowBlur = 10;
 
             let userPath = [];
             let allUserPaths = [];
             let lastUserEndTime = -1;
-
-            // Apply recording offset so orange line aligns with song position
-            const offset = recordingStartOffsetRef.current || 0;
-
-            for (let i = 0; i < userPitchSegments.length; i++) {
-                const seg = userPitchSegments[i];
-                const adjustedTime = seg.startTime + offset;
-
-                const x = adjustedTime * pxPerSec;
+            let lastPass = 0;
+            // Runs of points sung outside the raga, redrawn in the warning color
+            let warnRun = [];
+            const warnRuns = [];
+
+            for (let i = 0; i < segments.length; i++) {
+                const seg = segments[i];
+                const x = seg.startTime * pxPerSec;
                 const y = getFreqY(seg.freq, height);
+                const alpha = fadeAlpha(seg.confidence);
 
-                // Use same gap tolerance as green line (3.0s) for smooth continuous line
-                if (userPath.length > 0 && (seg.startTime - lastUserEndTime) < 3.0) {
-                    userPath.push({ x, y });
+                // Use same gap tolerance as green line (3.0s) for smooth continuous line;
+                // each pass over a loop starts a line of its own
+                if (userPath.length > 0 && seg.pass === lastPass && (seg.startTime - lastUserEndTime) < 3.0) {
+                    userPath.push({ x, y, alpha });
                 } else {
                     if (userPath.length > 0) allUserPaths.push(userPath);
-                    userPath = [{ x, y }];
+                    userPath = [{ x, y, alpha }];
+                    if (warnRun.length > 0) warnRuns.push(warnRun);
+                    warnRun = [];
                 }
                 lastUserEndTime = seg.endTime;
-            }
-            if (userPath.length > 0) allUserPaths.push(userPath);
+                lastPass = seg.pass;
 
-            // LOG path info
-            if (!window._orangePathLogged) {
-                window._orangePathLogged = true;
-                console.log(`Orange: ${allUserPaths.length} paths, points per path: [${allUserPaths.map(p => p.length).join(', ')}]`);
-                if (allUserPaths.length > 0 && allUserPaths[0].length > 0) {
-                    console.log(`First path x range: ${allUserPaths[0][0].x.toFixed(1)} → ${allUserPaths[0][allUserPaths[0].length - 1].x.toFixed(1)}`);
-                    console.log(`First path y range: ${Math.min(...allUserPaths[0].map(p => p.y)).toFixed(1)} → ${Math.max(...allUserPaths[0].map(p => p.y)).toFixed(1)}`);
+                if (isOutOfRaga(classifyPitch(seg.freq, saReference, tuning).midi, rootKey, ragaSwaras)) {
+                    warnRun.push({ x, y, alpha });
+                } else if (warnRun.length > 0) {
+                    warnRuns.push(warnRun);
+                    warnRun = [];
                 }
             }
+            if (userPath.length > 0) allUserPaths.push(userPath);
+            if (warnRun.length > 0) warnRuns.push(warnRun);
 
             allUserPaths.forEach(path => {
                 drawSmoothCurve(ctx, path, 1.0);
             });
-        }
+
+            if (warnRuns.length > 0) {
+                ctx.strokeStyle = OUT_OF_RAGA_COLOR;
+                ctx.shadowColor = OUT_OF_RAGA_COLOR;
+                ctx.fillStyle = OUT_OF_RAGA_COLOR;
+                warnRuns.forEach(run => {
+                    if (run.length === 1) {
+                        ctx.beginPath();
+                        ctx.arc(run[0].x, run[0].y, 3, 0, Math.PI * 2);
+                        ctx.fill();
+                    } else {
+                        drawSmoothCurve(ctx, run, 1.0);
+                    }
+                });
+            }
+        });
 
         ctx.shadowBlur = 0;
 
+        // --- 4. ORNAMENT MARKS (song above its line, scored take below) ---
+        const hits = [];
+        const showTakeOrnaments = !isRecording && scoredTake && (takeLines || []).some(t => t.id === scoredTake.id);
+        const markSets = [
+            { ornaments: songOrnaments, source: 'song', side: -1 },
+            { ornaments: showTakeOrnaments ? takeOrnaments : [], source: 'take', side: 1 }
+        ];
+
+        ctx.lineCap = 'round';
+        markSets.forEach(({ ornaments, source, side }) => {
+            ornaments.forEach(ornament => {
+                const x0 = ornament.startTime * pxPerSec;
+                const x1 = Math.max(x0 + 4, ornament.endTime * pxPerSec);
+                const yFrom = getFreqY(ornament.fromFreq, height);
+                const yTo = getFreqY(ornament.toFreq, height);
+                const color = ORNAMENT_TYPES[ornament.type].color;
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                ctx.lineWidth = 2;
+
+                let yMark;
+                if (ornament.type === 'meend') {
+                    // Dashed slur alongside the glide
+                    const offset = side * 10;
+                    yMark = (side < 0 ? Math.min(yFrom, yTo) : Math.max(yFrom, yTo)) + offset * 1.6;
+                    ctx.setLineDash([4, 3]);
+                    ctx.beginPath();
+                    ctx.moveTo(x0, yFrom + offset);
+                    ctx.quadraticCurveTo((x0 + x1) / 2, yMark + offset, x1, yTo + offset);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                } else if (ornament.type === 'kan') {
+                    // Dot on the grace note with a tick into the main note
+                    yMark = yFrom;
+                    ctx.beginPath();
+                    ctx.arc(x0, yFrom, 3.5, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.lineWidth = 1.5;
+                    ctx.beginPath();
+                    ctx.moveTo(x0, yFrom);
+                    ctx.lineTo(x1, yTo);
+                    ctx.stroke();
+                } else {
+                    // Zigzag bracket; gamak is drawn taller than vibrato
+                    const amplitude = ornament.type === 'gamak' ? 5 : 3;
+                    const yLine = getFreqY(ornament.freq, height);
+                    const depthPx = Math.abs(getFreqY(ornament.freq * Math.pow(2, ornament.depth / 2400), height) - yLine);
+                    yMark = yLine + side * (depthPx + 12);
+                    ctx.lineWidth = 1.5;
+                    ctx.beginPath();
+                    ctx.moveTo(x0, yMark);
+                    for (let x = x0, up = true; x < x1; x += 4, up = !up) {
+                        ctx.lineTo(Math.min(x + 4, x1), yMark + (up ? -amplitude : amplitude));
+                    }
+                    ctx.stroke();
+                }
+
+                hits.push({
+                    x0: x0 - 4,
+                    x1: x1 + 4,
+                    y0: Math.min(yFrom, yTo, yMark) - 8,
+                    y1: Math.max(yFrom, yTo, yMark) + 8,
+                    ornament,
+                    source
+                });
+            });
+        });
+        ornamentHitsRef.current = hits;
+
         // Note: Floating Badges logic removed from here too? 
         // Wait, Floating Badges stick to the curve, so they scroll.
         // Canvas is best for scrolling items. 
@@ -766,24 +1153,92 @@ const AudioPlayer = forwardRef(({
                 const x = (noteEvent.startTime + (noteEvent.endTime - noteEvent.startTime) / 2) * pxPerSec;
                 const y = getFreqY(noteEvent.avgFreq, height);
 
-                const label = noteEvent.displayLabel.replace(/[0-9]/g, '');
+                const { swara } = noteEvent;
+                // Western badges: name without octave plus the cents offset
+                const label = swara
+                    ? swara.text
+                    : `${getWesternName(noteEvent.midi, { mode: westernMode, rootKey, withOctave: false })} ${formatCents(noteEvent.cents)}`;
 
                 const padding = 6;
                 const textWidth = ctx.measureText(label).width;
-                const w = textWidth + padding * 2;
-                const h = 18;
-
-                ctx.fillStyle = "rgba(16, 185, 129, 0.9)";
+                // Just/shruti tuning: how far the note sits from its shruti, after the swara
+                const deviation = swara && tuning !== 'equal' ? formatCents(noteEvent.tuning.cents) : null;
+                ctx.font = "9px sans-serif";
+                const deviationWidth = deviation ? ctx.measureText(deviation).width + 4 : 0;
+                ctx.font = "bold 11px sans-serif";
+                const w = textWidth + deviationWidth + padding * 2;
+                // Room for saptak dots / the tivra mark
+                const markRoom = swara && (swara.saptak !== 0 || swara.tivra) ? 6 : 0;
+                const h = 18 + markRoom;
+
+                ctx.fillStyle = noteEvent.outOfRaga ? "rgba(245, 158, 11, 0.95)" : "rgba(16, 185, 129, 0.9)";
                 ctx.beginPath();
                 ctx.roundRect(x - w / 2, y - h - 10, w, h, 4);
                 ctx.fill();
 
                 ctx.fillStyle = "white";
-                ctx.fillText(label, x, y - 10 - h / 2);
+                if (swara) {
+                    // Shift the text away from the side the marks are drawn on
+                    const shift = swara.saptak < 0 ? -markRoom / 2 : markRoom / 2;
+                    const swaraX = x - deviationWidth / 2;
+                    drawSwara(ctx, swara, swaraX, y - 10 - h / 2 + shift);
+                    if (deviation) {
+                        ctx.font = "9px sans-serif";
+                        ctx.textAlign = "left";
+                        ctx.fillText(deviation, swaraX + textWidth / 2 + 4, y - 10 - h / 2 + shift);
+                        ctx.font = "bold 11px sans-serif";
+                        ctx.textAlign = "center";
+                    }
+                } else {
+                    ctx.fillText(label, x, y - 10 - h / 2);
+                }
             });
         }
 
-    }, [pitchSegments, isReady, zoom, showSpectrogram, showSargam, rootKey, notationMode, stableNotes, userPitchSegments]);
+    }, [shiftedSegments, isReady, zoom, showSpectrogram, showSargam, rootKey, notationMode, stableNotes, userPitchSegments, takeLines, isRecording, shiftedTargetNotes, fadeBelow, ragaSwaras, westernMode, tuningBands, tuning, saReference, songOrnaments, takeOrnaments, scoredTake]);
+
+    // Visible time window of the waveform, so the phrase strip scrolls and zooms with it
+    const [view, setView] = useState(null); // { start, end } in seconds
+    useEffect(() => {
+        if (!wavesurferRef.current || !isReady) return;
+        const ws = wavesurferRef.current;
+
+        const updateView = () => {
+            const duration = ws.getDuration();
+            const width = ws.getWrapper()?.scrollWidth;
+            if (!duration || !width) return;
+            const pxPerSec = width / duration;
+            const start = ws.getScroll() / pxPerSec;
+            setView({ start, end: start + ws.getWidth() / pxPerSec });
+        };
+
+        updateView();
+        const unsubscribe = ['scroll', 'zoom', 'redrawcomplete'].map(event => ws.on(event, updateView));
+        return () => unsubscribe.forEach(un => un());
+    }, [isReady, audioFile, showSpectrogram]);
+
+    // Ornament tooltip: the canvas ignores the mouse, so hit-test on the wrapper
+    useEffect(() => {
+        if (!wavesurferRef.current || !isReady) return;
+        const wrapper = wavesurferRef.current.getWrapper();
+        if (!wrapper) return;
+
+        const handleMove = (e) => {
+            const rect = wrapper.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const y = e.clientY - rect.top;
+            const hit = ornamentHitsRef.current.find(h => x >= h.x0 && x <= h.x1 && y >= h.y0 && y <= h.y1);
+            setHoveredOrnament(hit ? { ornament: hit.ornament, source: hit.source, clientX: e.clientX, clientY: e.clientY } : null);
+        };
+        const handleLeave = () => setHoveredOrnament(null);
+
+        wrapper.addEventListener('mousemove', handleMove);
+        wrapper.addEventListener('mouseleave', handleLeave);
+        return () => {
+            wrapper.removeEventListener('mousemove', handleMove);
+            wrapper.removeEventListener('mouseleave', handleLeave);
+        };
+    }, [isReady, audioFile, showSpectrogram]);
 
     // Watchers guarded by isReady
     useEffect(() => {
@@ -803,6 +1258,7 @@ const AudioPlayer = forwardRef(({
     useEffect(() => {
         if (!wavesurferRef.current || !isReady) return;
         try { wavesurferRef.current.setPlaybackRate(playbackRate, true); } catch (e) { }
+        markTakeTimeline();
     }, [playbackRate, isReady]);
 
     useEffect(() => {
@@ -810,54 +1266,61 @@ const AudioPlayer = forwardRef(({
         try { wavesurferRef.current.setVolume(volume); } catch (e) { }
     }, [volume, isReady]);
 
+    // Playback effects: pitch shift (tempo is unaffected — the shifter works on
+    // the audio stream) and karaoke vocal reduction
+    useEffect(() => {
+        if (!wavesurferRef.current || !isReady) return;
+        if (!playbackGraphRef.current) {
+            if (pitchRatio === 1 && !karaokeEnabled) return; // Don't capture the media element until needed
+            playbackGraphRef.current = createPlaybackGraph(wavesurferRef.current.getMediaElement());
+        }
+        playbackGraphRef.current.setPitchRatio(pitchRatio);
+        playbackGraphRef.current.setKaraoke({ enabled: karaokeEnabled, strength: karaokeStrength });
+    }, [pitchRatio, karaokeEnabled, karaokeStrength, isReady]);
+
     return (
         <div className={`w-full bg-black/20 backdrop-blur-sm border border-white/10 relative flex flex-col justify-center gap-4 ${isFullscreen ? 'h-full rounded-none p-2 border-0' : 'rounded-xl p-4 min-h-[180px]'}`}>
 
             {/* Axis Overlay - Fixed Left */}
             {isReady && notationMode === 'axis' && (
-                <div className="absolute top-4 bottom-[20px] left-4 w-12 z-20 pointer-events-none flex flex-col overflow-hidden" style={{ height: '256px' }}>
+                <div className="absolute top-4 bottom-[20px] left-4 w-20 whitespace-nowrap z-20 pointer-events-none flex flex-col overflow-hidden" style={{ height: '256px' }}>
                     {/* We need to manually map the notes to divs given fixed height 256 */}
                     {/* Actually, wrapper height might vary? Default is 256. code says height: 256 */}
                     {/* Let's render the bands as absolute divs */}
-                    {Array.from({ length: 49 }).map((_, i) => { // 49 semitones from 36 to 84 (inclusive?) 84-36 = 48
-                        const midi = 36 + i;
-                        const freqCenter = 440 * Math.pow(2, (midi - 69) / 12);
-                        const freqTop = freqCenter * Math.pow(2, 1 / 24);
-                        const freqBottom = freqCenter * Math.pow(2, -1 / 24);
-
-                        const yTop = getFreqY(freqTop, 256); // Assuming fixed height 256
-                        const yBottom = getFreqY(freqBottom, 256);
+                    {tuningBands.map(band => { // One band per tuning position from C2 to C6
+                        const { midi } = band;
+                        const yTop = getFreqY(band.high, 256); // Assuming fixed height 256
+                        const yBottom = getFreqY(band.low, 256);
                         // yTop is smaller value (higher on screen) than yBottom (lower on screen)
                         // top position = yTop
                         // height = yBottom - yTop
 
-                        const noteName = NOTES[midi % 12];
-                        const octave = Math.floor(midi / 12) - 1;
-                        const fullNote = `${noteName}${octave}`;
+                        const isActive = activeNote?.tuning.key === band.key;
+                        const interval = intervalFromSa(midi, rootKey);
+                        const inRaga = !ragaSwaras || (interval !== null && ragaSwaras.includes(interval));
 
-                        const isActive = activeNote === fullNote;
-
-                        let label = fullNote;
+                        let label = getWesternName(midi, { mode: westernMode, rootKey });
                         let isSa = false;
-                        if (showSargam && rootKey) {
-                            const rootIndex = NOTES.indexOf(rootKey);
-                            if (rootIndex !== -1) {
-                                let interval = (midi % 12 - rootIndex + 12) % 12;
-                                let swara = SARGAM_MAPPING[interval];
-                                label = `${swara}${octave}`;
-                                if (swara === "Sa") isSa = true;
-                            }
+                        if (useSwaras) {
+                            label = <SwaraLabel swara={getSwara(midi, { madhyaSa, script: sargamScript })} />;
+                            isSa = interval === 0;
                         }
 
                         // Only show Label if it's Sa or Active or every few notes?
                         // User wants all labels? "Label the stripes"
                         // If we show ALL labels, it's crowded. 
                         // Render logic:
-                        if (!isActive && !isSa && midi % 2 !== 0) return null; // Show fewer labels when idle? 
+                        if (ragaSwaras) {
+                            // Raga mode: only the raga's swaras (plus an active vivadi note)
+                            if (!isActive && !inRaga) return null;
+                        } else if (!isActive && !isSa && midi % 2 !== 0) return null; // Show fewer labels when idle? 
                         // Or just show all.
+                        if (!isActive && !band.primary) return null; // Shruti variants: only while sung
+
+                        const activeColor = inRaga ? '#34D399' : OUT_OF_RAGA_COLOR;
 
                         return (
-                            <div key={midi}
+                            <div key={band.key}
                                 style={{
                                     position: 'absolute',
                                     top: `${yTop}px`,
@@ -866,13 +1329,16 @@ const AudioPlayer = forwardRef(({
                                     right: 0,
                                     display: 'flex',
                                     alignItems: 'center',
-                                    color: isActive ? '#34D399' : (isSa ? 'rgba(45, 212, 191, 0.8)' : 'rgba(255,255,255,0.2)'),
+                                    color: isActive ? activeColor : (isSa ? 'rgba(45, 212, 191, 0.8)' : 'rgba(255,255,255,0.2)'),
                                     fontWeight: isActive ? 'bold' : 'normal',
                                     fontSize: isActive ? '12px' : '10px',
                                     transition: 'all 0.1s ease'
                                 }}>
                                 {isActive && <span className="mr-1">►</span>}
                                 {label}
+                                {isActive && (!useSwaras || tuning !== 'equal') && (
+                                    <span className="ml-1 font-mono">{formatCents(useSwaras ? activeNote.tuning.cents : activeNote.cents)}</span>
+                                )}
                             </div>
                         )
                     })}
@@ -893,9 +1359,98 @@ const AudioPlayer = forwardRef(({
                 </div>
             )}
 
+            {/* Pitch analysis progress for the song and a recorded take (the graph fills in behind it) */}
+            {isReady && (analysisProgress !== null || takeProgress !== null) && (
+                <div className="absolute top-2 right-2 z-20 flex flex-col gap-1 pointer-events-none">
+                    {[['Analyzing pitch', analysisProgress], ['Analyzing take', takeProgress]]
+                        .filter(([, progress]) => progress !== null)
+                        .map(([label, progress]) => (
+                            <div key={label} className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-gray-900/90 border border-indigo-500/40">
+                                <div className="w-3 h-3 border-2 border-indigo-400 border-t-transparent rounded-full animate-spin"></div>
+                                <span className="text-xs font-mono text-indigo-200">{label} {Math.round(progress * 100)}%</span>
+                                <div className="w-20 h-1 bg-gray-700 rounded-full overflow-hidden">
+                                    <div className="h-full bg-indigo-400 transition-all" style={{ width: `${progress * 100}%` }} />
+                                </div>
+                            </div>
+                        ))}
+                </div>
+            )}
+
+            {/* Ornament tooltip */}
+            {hoveredOrnament && (
+                <div
+                    className="fixed z-50 px-3 py-2 rounded-lg bg-gray-900/95 border border-gray-700 shadow-xl pointer-events-none text-xs"
+                    style={{ left: hoveredOrnament.clientX + 12, top: hoveredOrnament.clientY + 12 }}
+                >
+                    <div className="font-bold" style={{ color: ORNAMENT_TYPES[hoveredOrnament.ornament.type].color }}>
+                        {ORNAMENT_TYPES[hoveredOrnament.ornament.type].label}
+                        <span className="ml-2 font-normal text-gray-400">
+                            {hoveredOrnament.source === 'take' ? 'Your take' : 'Song'} · {ORNAMENT_TYPES[hoveredOrnament.ornament.type].description}
+                        </span>
+                    </div>
+                    <div className="text-gray-300 font-mono mt-0.5">{describeOrnament(hoveredOrnament.ornament)}</div>
+                    <div className="text-gray-400 mt-0.5">
+                        {hoveredOrnament.ornament.rate
+                            ? `Around ${nameFreq(hoveredOrnament.ornament.freq)}`
+                            : `${nameFreq(hoveredOrnament.ornament.fromFreq)} → ${nameFreq(hoveredOrnament.ornament.toFreq)}`}
+                    </div>
+                </div>
+            )}
+
             {/* Waveform */}
             <div ref={containerRef} className="w-full" />
 
+            {/* Phrase strip — click a phrase to loop it */}
+            {isReady && view && phrases.length > 0 && (
+                <div className="w-full">
+                    <div className="relative w-full h-6 rounded bg-white/5 overflow-hidden">
+                        {phrases.map((phrase, i) => {
+                            if (phrase.endTime < view.start || phrase.startTime > view.end) return null;
+                            const span = view.end - view.start;
+                            const isLooped = phraseLoopActive && phraseLoopIndex === i;
+                            return (
+                                <button
+                                    key={i}
+                                    onClick={() => loopPhrase(i)}
+                                    className={`absolute top-0.5 bottom-0.5 rounded text-[10px] font-mono truncate px-1 border transition ${isLooped
+                                        ? 'bg-indigo-500/60 border-indigo-300 text-white'
+                                        : 'bg-indigo-500/20 border-indigo-500/40 text-indigo-200 hover:bg-indigo-500/40'}`}
+                                    style={{
+                                        left: `${((phrase.startTime - view.start) / span) * 100}%`,
+                                        width: `${((phrase.endTime - phrase.startTime) / span) * 100}%`
+                                    }}
+                                    title={`Loop phrase ${i + 1} (${phrase.startTime.toFixed(1)}s – ${phrase.endTime.toFixed(1)}s)`}
+                                >
+                                    {i + 1}
+                                </button>
+                            );
+                        })}
+                    </div>
+                    <div className="flex items-center justify-between mt-1 text-[11px] text-gray-400">
+                        <div className="flex items-center gap-1">
+                            <button onClick={() => stepPhrase(-1)} className="p-0.5 hover:text-white transition" title="Loop the previous phrase (P)">
+                                <ChevronLeft size={14} />
+                            </button>
+                            <span className="font-mono">
+                                {phraseLoopActive ? `Phrase ${phraseLoopIndex + 1} / ${phrases.length}` : `${phrases.length} phrases`}
+                            </span>
+                            <button onClick={() => stepPhrase(1)} className="p-0.5 hover:text-white transition" title="Loop the next phrase (N)">
+                                <ChevronRight size={14} />
+                            </button>
+                        </div>
+                        <label className="flex items-center gap-1.5 cursor-pointer" title="Also split where the audio goes quiet, not only where the pitch line stops">
+                            <input
+                                type="checkbox"
+                                checked={splitAtBreaths}
+                                onChange={(e) => setSplitAtBreaths(e.target.checked)}
+                                className="accent-indigo-500"
+                            />
+                            <span>Split at breaths</span>
+                        </label>
+                    </div>
+                </div>
+            )}
+
             {/* Spectrogram Container */}
             {showSpectrogram && (
                 <div ref={spectrogramRef} className="w-full rounded-lg overflow-hidden border border-white/10 h-[100px]" />
@@ -0,0 +1,44 @@
+import React from 'react';
+
+const RANGE = 50; // ± cents shown on the bar
+
+// Tuner-style bar: centre zone = ±tolerance, needle = current deviation.
+// Negative cents are flat, positive sharp.
+const CentsMeter = ({ cents, tolerance }) => {
+    const clamped = Math.max(-RANGE, Math.min(RANGE, cents));
+    const position = 50 + (clamped / RANGE) * 50; // % from the left
+    const zoneWidth = (tolerance / RANGE) * 50;
+    const rounded = Math.round(cents);
+
+    const status = Math.abs(cents) <= tolerance ? 'in-tune' : cents < 0 ? 'flat' : 'sharp';
+    const colors = {
+        'in-tune': { needle: 'bg-emerald-400', text: 'text-emerald-300' },
+        flat: { needle: 'bg-sky-400', text: 'text-sky-300' },
+        sharp: { needle: 'bg-rose-400', text: 'text-rose-300' }
+    }[status];
+
+    return (
+        <div className="w-44 mt-2">
+            <div className="relative h-2 rounded-full bg-black/30">
+                <div
+                    className="absolute top-0 bottom-0 bg-emerald-400/30 rounded"
+                    style={{ left: `${50 - zoneWidth}%`, width: `${zoneWidth * 2}%` }}
+                />
+                <div className="absolute top-[-3px] bottom-[-3px] left-1/2 w-px bg-white/40" />
+                <div
+                    className={`absolute top-[-4px] bottom-[-4px] w-1 -ml-0.5 rounded-full transition-all duration-100 ${colors.needle}`}
+                    style={{ left: `${position}%` }}
+                />
+            </div>
+            <div className={`flex justify-between text-[10px] font-mono mt-1 ${colors.text}`}>
+                <span className="opacity-60">♭</span>
+                <span className="font-bold">
+                    {status === 'in-tune' ? 'In tune' : `${Math.abs(rounded)}¢ ${status}`}
+                </span>
+                <span className="opacity-60">♯</span>
+            </div>
+        </div>
+    );
+};
+
+export default CentsMeter;
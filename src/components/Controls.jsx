@@ -10,7 +10,9 @@ import {
     FastForward,
     Rewind,
     Mic,
-    PlayCircle
+    PlayCircle,
+    Minus,
+    Plus
 } from 'lucide-react';
 
 const Controls = ({
@@ -20,6 +22,9 @@ const Controls = ({
     onPlaybackRateChange,
     onAddRegion,
     onClearRegions,
+    markerA,
+    onSetMarkerA,
+    onSetMarkerB,
     zoom,
     onZoomChange,
     onSkipBackward,
@@ -27,7 +32,11 @@ const Controls = ({
     isRecording,
     onRecordToggle,
     userAudioUrl,
-    onPlayRecording
+    onPlayRecording,
+    transposeSemitones,
+    onTransposeChange,
+    transposeCents,
+    onTransposeCentsChange
 }) => {
     const speeds = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2];
 
@@ -113,20 +122,76 @@ const Controls = ({
                     <button
                         onClick={onAddRegion}
                         className="flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 rounded-lg text-white font-medium transition shadow-lg"
-                        title="Loop current section (5s)"
+                        title="Add a 5s loop at the playhead (L)"
                     >
                         <Flag size={18} />
-                        <span>Set Loop</span>
+                        <span>Add Loop</span>
                     </button>
 
                     <button
                         onClick={onClearRegions}
                         className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-red-900/50 hover:text-red-200 rounded-lg text-gray-300 transition"
-                        title="Clear all loops"
+                        title="Clear all loops (C)"
                     >
                         <Trash2 size={18} />
                         <span>Clear</span>
                     </button>
+
+                    {/* A/B Markers — exact loop from the playhead */}
+                    <div className="flex items-center gap-1">
+                        <button
+                            onClick={onSetMarkerA}
+                            className={`px-3 py-2 rounded-lg font-bold transition ${markerA !== null ? 'bg-yellow-500 text-gray-900' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}
+                            title="Mark loop start (A)"
+                        >
+                            A{markerA !== null && <span className="ml-1 text-xs font-mono">{markerA.toFixed(1)}s</span>}
+                        </button>
+                        <button
+                            onClick={onSetMarkerB}
+                            disabled={markerA === null}
+                            className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-gray-300 font-bold transition disabled:opacity-40"
+                            title="Mark loop end (B) and create the loop"
+                        >
+                            B
+                        </button>
+                    </div>
+                </div>
+
+                {/* Transpose Controls (pitch only, tempo unchanged) */}
+                <div className="flex items-center gap-3 bg-gray-900/50 p-2 rounded-lg">
+                    <span className="text-gray-400 text-sm font-medium uppercase tracking-wider">Key</span>
+                    <button
+                        onClick={() => onTransposeChange(transposeSemitones - 1)}
+                        disabled={transposeSemitones <= -12}
+                        className="p-1.5 bg-gray-700 hover:bg-gray-600 rounded text-gray-300 transition disabled:opacity-40"
+                        title="Transpose down a semitone"
+                    >
+                        <Minus size={14} />
+                    </button>
+                    <span className={`w-8 text-center text-sm font-bold ${transposeSemitones ? 'text-indigo-300' : 'text-gray-300'}`}>
+                        {transposeSemitones > 0 ? `+${transposeSemitones}` : transposeSemitones}
+                    </span>
+                    <button
+                        onClick={() => onTransposeChange(transposeSemitones + 1)}
+                        disabled={transposeSemitones >= 12}
+                        className="p-1.5 bg-gray-700 hover:bg-gray-600 rounded text-gray-300 transition disabled:opacity-40"
+                        title="Transpose up a semitone"
+                    >
+                        <Plus size={14} />
+                    </button>
+                    <input
+                        type="range"
+                        min="-50"
+                        max="50"
+                        value={transposeCents}
+                        onChange={(e) => onTransposeCentsChange(Number(e.target.value))}
+                        onDoubleClick={() => onTransposeCentsChange(0)}
+                        className="w-20 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-indigo-500"
+                        title="Fine tune (double-click to reset)"
+                    />
+                    <span className="w-10 text-xs font-mono text-gray-400">
+                        {transposeCents > 0 ? '+' : ''}{transposeCents}¢
+                    </span>
                 </div>
 
                 {/* Zoom Controls */}
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Timer, Check, RotateCcw, Trash2 } from 'lucide-react';
+import { measureLatency, loadLatency, saveLatency, clearLatency } from '../utils/latency';
+
+const formatMs = (seconds) => `${seconds >= 0 ? '+' : ''}${Math.round(seconds * 1000)} ms`;
+
+const METHODS = {
+    loopback: 'Speakers: take headphones off, turn the volume up and stay quiet. The mic listens to the clicks.',
+    clap: 'Headphones: clap sharply, close to the mic, exactly on each of the 8 clicks.'
+};
+
+// Round-trip latency wizard for the mic diagnostic screen
+const LatencyCalibration = ({ onLog }) => {
+    const [method, setMethod] = useState('loopback');
+    const [progress, setProgress] = useState(null); // 0..1 while measuring
+    const [result, setResult] = useState(null);
+    const [saved, setSaved] = useState(null); // Stored value for the measured device
+    const [error, setError] = useState(null);
+
+    const log = (msg) => onLog && onLog(msg);
+
+    const runMeasurement = async () => {
+        setError(null);
+        setResult(null);
+        setProgress(0);
+        log(`Latency: measuring (${method})...`);
+        try {
+            const measured = await measureLatency({ method, onProgress: setProgress });
+            setResult(measured);
+            setSaved(loadLatency(measured.deviceKey));
+            log(`Latency: ${formatMs(measured.latency)} ±${Math.round(measured.spread * 1000)} ms, ${measured.detected}/${measured.total} clicks on "${measured.label}"`);
+        } catch (err) {
+            setError(err.message);
+            log(`Latency error: ${err.message}`);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    const handleSave = () => {
+        const { latency, spread, method: usedMethod, label } = result;
+        saveLatency(result.deviceKey, { latency, spread, method: usedMethod, label });
+        setSaved(loadLatency(result.deviceKey));
+        log(`Latency: saved ${formatMs(latency)} for "${label}"`);
+    };
+
+    const handleClear = () => {
+        clearLatency(result.deviceKey);
+        setSaved(null);
+        log('Latency: cleared saved value');
+    };
+
+    const measuring = progress !== null;
+
+    return (
+        <div className="w-full max-w-md mb-4 p-4 bg-indigo-900/30 border border-indigo-600 rounded-lg space-y-3">
+            <h3 className="flex items-center gap-2 text-indigo-300 font-bold text-sm">
+                <Timer size={16} />
+                Latency Calibration
+            </h3>
+            <p className="text-xs text-gray-400">
+                Measures how late your recordings land so takes line up with the song. The result is saved for this microphone and applied to every take.
+            </p>
+
+            <div className="flex gap-4">
+                {Object.keys(METHODS).map(key => (
+                    <label key={key} className="flex items-center gap-2 cursor-pointer text-sm">
+                        <input type="radio" name="latency-method" checked={method === key} disabled={measuring}
+                            onChange={() => setMethod(key)} />
+                        <span>{key === 'loopback' ? 'Click loopback' : 'Clap along'}</span>
+                    </label>
+                ))}
+            </div>
+            <p className="text-xs text-yellow-300">{METHODS[method]}</p>
+
+            <button
+                onClick={runMeasurement}
+                disabled={measuring}
+                className="w-full py-2 rounded bg-indigo-600 hover:bg-indigo-500 disabled:opacity-60 text-sm font-bold transition"
+            >
+                {measuring ? `Listening... ${Math.round(progress * 100)}%` : result ? 'Measure again' : 'Start measuring'}
+            </button>
+
+            {error && <p className="text-xs text-red-400">{error}</p>}
+
+            {result && (
+                <div className="p-3 bg-gray-900 rounded border border-gray-700 space-y-2">
+                    <div className="flex items-baseline justify-between">
+                        <span className="text-2xl font-bold text-green-400">{formatMs(result.latency)}</span>
+                        <span className="text-xs text-gray-400">±{Math.round(result.spread * 1000)} ms · {result.detected}/{result.total} heard</span>
+                    </div>
+                    <div className="text-xs text-gray-500 truncate">{result.label}</div>
+                    {result.spread > 0.03 && (
+                        <p className="text-xs text-yellow-400">The clicks were uneven — measure again for a steadier value.</p>
+                    )}
+                    <div className="flex items-center gap-2">
+                        <button onClick={handleSave}
+                            className="flex items-center gap-1 px-3 py-1 rounded bg-green-700 hover:bg-green-600 text-xs font-bold transition">
+                            <Check size={14} /> Use this value
+                        </button>
+                        <button onClick={runMeasurement} disabled={measuring}
+                            className="flex items-center gap-1 px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-xs transition">
+                            <RotateCcw size={14} /> Retry
+                        </button>
+                    </div>
+                    {saved && (
+                        <div className="flex items-center justify-between text-xs text-gray-400 pt-2 border-t border-gray-800">
+                            <span>Saved for this mic: <span className="text-white">{formatMs(saved.latency)}</span> ({saved.method})</span>
+                            <button onClick={handleClear} className="p-1 text-gray-500 hover:text-red-400 transition" title="Forget saved latency">
+                                <Trash2 size={14} />
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LatencyCalibration;
@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+
+// Inline name editor: edits stay local until Enter or blur, so a rename is
+// saved once rather than on every keystroke. Escape puts the old name back.
+const NameInput = ({ value, onCommit, className = '' }) => {
+    const [draft, setDraft] = useState(value);
+    const [lastValue, setLastValue] = useState(value);
+    if (value !== lastValue) {
+        // Renamed elsewhere — show the new name
+        setLastValue(value);
+        setDraft(value);
+    }
+
+    const commit = () => {
+        const name = draft.trim();
+        if (name && name !== value) onCommit(name);
+        else setDraft(value);
+    };
+
+    return (
+        <input
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => {
+                if (e.key === 'Enter') e.currentTarget.blur();
+                if (e.key === 'Escape') {
+                    setDraft(value);
+                    // Blur after the reset lands so commit sees the old name
+                    setTimeout(() => e.target.blur());
+                }
+            }}
+            className={className}
+        />
+    );
+};
+
+export default NameInput;
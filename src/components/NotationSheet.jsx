@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { FileText, FileMusic, Piano, Printer, X } from 'lucide-react';
+import { groupPhrases, attachOrnaments, formatOrnament, createNoteLabeler, createSwaraNamer, countHolds, toSargamText, toMusicXML } from '../utils/notation';
+import { ORNAMENT_TYPES } from '../utils/ornaments';
+import { toMidiFile } from '../utils/midiExport';
+import { downloadBlob } from '../utils/download';
+import { formatTime } from '../utils/time';
+import SwaraLabel from './SwaraLabel';
+
+// "My Song.mp3" -> "My Song"
+const baseName = (name) => (name || 'Notation').replace(/\.[^.]+$/, '');
+
+// Printable notation of the song's stable notes (full-page overlay)
+const NotationSheet = ({ notes, segments, ornaments, pitchBend, onPitchBendChange, showSargam, rootKey, sargamScript, westernMode, tuningSystem, title, onClose }) => {
+    const [tempo, setTempo] = useState(60); // MusicXML/MIDI beat grid — audio time has no tempo of its own
+    const phrases = attachOrnaments(groupPhrases(notes), ornaments);
+    const display = { showSargam, rootKey, sargamScript, westernMode, tuningSystem };
+    const label = createNoteLabeler(notes, display);
+    const swaraOf = createSwaraNamer(notes, display);
+    const options = { ...display, title: baseName(title) };
+
+    const downloadText = () => {
+        const blob = new Blob([toSargamText(notes, { ...options, ornaments })], { type: 'text/plain' });
+        downloadBlob(blob, `${baseName(title)} - ${showSargam ? 'sargam' : 'notes'}.txt`);
+    };
+
+    const downloadMusicXml = () => {
+        const blob = new Blob([toMusicXML(notes, { ...options, tempo })], { type: 'application/vnd.recordare.musicxml+xml' });
+        downloadBlob(blob, `${baseName(title)}.musicxml`);
+    };
+
+    const downloadMidi = () => {
+        const blob = toMidiFile(notes, { segments, pitchBend, tempo, name: baseName(title) });
+        downloadBlob(blob, `${baseName(title)}.mid`);
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto bg-white text-gray-900 print:static print:overflow-visible">
+            {/* Toolbar (not printed) */}
+            <div className="sticky top-0 flex flex-wrap items-center justify-between gap-3 px-6 py-3 bg-gray-900 text-white print:hidden">
+                <h2 className="flex items-center gap-2 font-bold">
+                    <FileText size={18} />
+                    Notation
+                </h2>
+                <div className="flex flex-wrap items-center gap-2">
+                    <button
+                        onClick={downloadText}
+                        className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-800 hover:bg-gray-700 transition"
+                        title="Plain-text notation, one phrase per line"
+                    >
+                        <FileText size={16} />
+                        <span>Text</span>
+                    </button>
+                    <label className="flex items-center gap-2 text-xs text-gray-400" title="Tempo used to place notes on the MusicXML/MIDI beat grid">
+                        <span className="uppercase font-bold tracking-wider">BPM</span>
+                        <input
+                            type="number"
+                            min={30}
+                            max={240}
+                            value={tempo}
+                            onChange={(e) => setTempo(Math.max(30, Math.min(240, Number(e.target.value) || 60)))}
+                            className="w-16 px-2 py-1 bg-gray-800 border border-gray-700 rounded text-gray-200 font-mono focus:outline-none focus:border-indigo-500"
+                        />
+                    </label>
+                    <button
+                        onClick={downloadMusicXml}
+                        className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-800 hover:bg-gray-700 transition"
+                        title="MusicXML for MuseScore, Sibelius, Finale…"
+                    >
+                        <FileMusic size={16} />
+                        <span>MusicXML</span>
+                    </button>
+                    <button
+                        onClick={downloadMidi}
+                        className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-800 hover:bg-gray-700 transition"
+                        title="Standard MIDI File for a DAW"
+                    >
+                        <Piano size={16} />
+                        <span>MIDI</span>
+                    </button>
+                    <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer" title="Keep meends and slides as pitch-bend">
+                        <input
+                            type="checkbox"
+                            checked={pitchBend}
+                            onChange={(e) => onPitchBendChange(e.target.checked)}
+                            className="accent-indigo-500"
+                        />
+                        <span>Pitch bend</span>
+                    </label>
+                    <button
+                        onClick={() => window.print()}
+                        className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-500 transition"
+                    >
+                        <Printer size={16} />
+                        <span>Print</span>
+                    </button>
+                    <button
+                        onClick={onClose}
+                        className="p-1.5 text-gray-400 hover:text-white transition"
+                        title="Close"
+                    >
+                        <X size={18} />
+                    </button>
+                </div>
+            </div>
+
+            {/* Sheet */}
+            <div className="max-w-4xl mx-auto px-8 py-10 print:p-0">
+                <header className="mb-8 border-b border-gray-300 pb-4">
+                    <h1 className="text-3xl font-bold">{baseName(title)}</h1>
+                    <p className="text-sm text-gray-600 mt-1">
+                        {showSargam
+                            ? <>Sa = {rootKey} · dot below = mandra, dot above = taar · komal underlined · "–" holds the note</>
+                            : <>{westernMode === 'movableDo' ? `Do = ${rootKey}` : 'Western note names'} · "–" holds the note</>}
+                    </p>
+                    {ornaments?.length > 0 && (
+                        <p className="text-sm text-gray-600 mt-1">
+                            Ornaments under each phrase:{' '}
+                            {Object.values(ORNAMENT_TYPES).map(type => `${type.label} (${type.description.toLowerCase()})`).join(', ')}
+                        </p>
+                    )}
+                </header>
+
+                {phrases.length === 0 ? (
+                    <p className="text-gray-500">No stable notes found yet. Wait for the pitch analysis to finish.</p>
+                ) : (
+                    <ol className="space-y-4">
+                        {phrases.map((phrase, i) => (
+                            <li key={i} className="flex gap-4 break-inside-avoid">
+                                <span className="w-12 shrink-0 pt-1 text-xs font-mono text-gray-400">{formatTime(phrase.startTime)}</span>
+                                <div>
+                                    <div className="flex flex-wrap gap-x-3 gap-y-1 text-xl font-semibold">
+                                        {phrase.notes.map((note, j) => {
+                                            const holds = countHolds(note);
+                                            return (
+                                                <span key={j}>
+                                                    {swaraOf ? <SwaraLabel swara={swaraOf(note)} /> : label(note)}
+                                                    {holds > 0 && <span className="ml-2 text-gray-400">{Array(holds).fill('–').join(' ')}</span>}
+                                                </span>
+                                            );
+                                        })}
+                                    </div>
+                                    {phrase.ornaments.length > 0 && (
+                                        <div className="flex flex-wrap gap-x-3 gap-y-1 mt-1 text-xs text-gray-600">
+                                            {phrase.ornaments.map((ornament, j) => (
+                                                <span key={j} className="flex items-center gap-1">
+                                                    <span className="w-2 h-2 rounded-full print:border print:border-gray-500" style={{ backgroundColor: ORNAMENT_TYPES[ornament.type].color }} />
+                                                    {formatOrnament(ornament, label)}
+                                                    <span className="font-mono text-gray-400">{formatTime(ornament.startTime)}</span>
+                                                </span>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default NotationSheet;
@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Compact labelled number input used by the settings panels
+const NumberField = ({ label, value, onChange, min, max, step, suffix, title, width = 'w-16' }) => (
+    <label className="flex items-center gap-2 text-xs text-gray-400" title={title}>
+        {label && <span className="uppercase font-bold tracking-wider">{label}</span>}
+        <input
+            type="number"
+            value={value}
+            min={min}
+            max={max}
+            step={step}
+            onChange={(e) => onChange(Number(e.target.value))}
+            className={`${width} px-2 py-1 bg-gray-900 border border-gray-700 rounded text-gray-200 font-mono focus:outline-none focus:border-indigo-500`}
+        />
+        {suffix && <span>{suffix}</span>}
+    </label>
+);
+
+export default NumberField;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { RAGAS } from '../utils/ragas';
+import { getSwaraForStep } from '../utils/swaras';
+import SwaraLabel from './SwaraLabel';
+
+const Steps = ({ label, steps, script }) => (
+    <div className="flex items-center gap-2">
+        <span className="text-xs text-gray-400 uppercase font-bold w-14">{label}</span>
+        <span className="flex items-center gap-2 text-sm text-indigo-200">
+            {steps.map((step, i) => <SwaraLabel key={i} swara={getSwaraForStep(step, script)} />)}
+        </span>
+    </div>
+);
+
+// Aaroh/avaroh of the selected raga, or the swara picker for a custom set
+const RagaReference = ({ ragaKey, customSwaras, onCustomSwarasChange, script }) => {
+    if (!ragaKey || ragaKey === 'none') return null;
+
+    const toggleSwara = (interval) => {
+        const next = customSwaras.includes(interval)
+            ? customSwaras.filter(i => i !== interval)
+            : [...customSwaras, interval].sort((a, b) => a - b);
+        onCustomSwarasChange(next);
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-2 px-3 py-2 bg-gray-900 rounded-lg border border-gray-800">
+            {ragaKey === 'custom' ? (
+                <div className="flex flex-wrap items-center gap-1">
+                    <span className="text-xs text-gray-400 uppercase font-bold mr-2">Swaras</span>
+                    {Array.from({ length: 12 }, (_, interval) => {
+                        const isSa = interval === 0;
+                        const active = isSa || customSwaras.includes(interval);
+                        return (
+                            <button
+                                key={interval}
+                                onClick={() => !isSa && toggleSwara(interval)}
+                                disabled={isSa}
+                                className={`px-2 py-0.5 rounded text-xs font-mono font-bold transition ${active ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-500 hover:bg-gray-700'}`}
+                                title={isSa ? 'Sa is always allowed' : undefined}
+                            >
+                                <SwaraLabel swara={getSwaraForStep(interval, script)} />
+                            </button>
+                        );
+                    })}
+                </div>
+            ) : (
+                <>
+                    <Steps label="Aaroh" steps={RAGAS[ragaKey].aaroh} script={script} />
+                    <Steps label="Avaroh" steps={RAGAS[ragaKey].avaroh} script={script} />
+                </>
+            )}
+            <span className="flex items-center gap-1 text-xs text-amber-400">
+                <AlertTriangle size={12} />
+                Notes outside the raga are marked in amber
+            </span>
+        </div>
+    );
+};
+
+export default RagaReference;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { Repeat, ArrowRightToLine, Play, Trash2, Flag } from 'lucide-react';
+import NameInput from './NameInput';
+import { formatTime } from '../utils/time';
+
+const RegionList = ({ regions, activeRegionId, loopMode, onLoopModeChange, onPlay, onRename, onRemove }) => {
+    return (
+        <div className="bg-gray-800 p-4 rounded-xl shadow-2xl border border-gray-700 w-full max-w-4xl mx-auto mt-6">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="flex items-center gap-2 text-xs text-gray-400 uppercase font-bold tracking-wider">
+                    <Flag size={14} />
+                    Loops
+                </h3>
+
+                {/* Loop vs Play-through */}
+                <button
+                    onClick={() => onLoopModeChange(loopMode === 'loop' ? 'through' : 'loop')}
+                    className={`flex items-center gap-2 px-3 py-1 rounded-lg text-xs font-medium transition ${loopMode === 'loop' ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                    title="Toggle between repeating the selected loop and playing through"
+                >
+                    {loopMode === 'loop' ? <Repeat size={14} /> : <ArrowRightToLine size={14} />}
+                    <span>{loopMode === 'loop' ? 'Loop this region' : 'Play through'}</span>
+                </button>
+            </div>
+
+            {regions.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                    No loops yet. Press L for a 5s loop at the playhead, or A then B to mark exact start and end.
+                </p>
+            ) : (
+                <ul className="space-y-1 max-h-56 overflow-y-auto">
+                    {[...regions].sort((a, b) => a.start - b.start).map(region => (
+                        <li
+                            key={region.id}
+                            className={`flex items-center gap-3 px-3 py-2 rounded-lg transition ${region.id === activeRegionId ? 'bg-gray-700 ring-1 ring-indigo-500' : 'hover:bg-gray-700/50'}`}
+                        >
+                            <span className="w-3 h-3 rounded-full shrink-0" style={{ background: region.color }} />
+                            <NameInput
+                                value={region.content}
+                                onCommit={(name) => onRename(region.id, name)}
+                                className="flex-1 min-w-0 bg-transparent text-sm text-gray-200 focus:outline-none focus:text-white"
+                            />
+                            <span className="text-xs font-mono text-gray-500">
+                                {formatTime(region.start, 1)} – {formatTime(region.end, 1)}
+                            </span>
+                            <button
+                                onClick={() => onPlay(region.id)}
+                                className="p-1.5 text-gray-400 hover:text-emerald-400 transition"
+                                title="Jump to and play this loop"
+                            >
+                                <Play size={14} />
+                            </button>
+                            <button
+                                onClick={() => onRemove(region.id)}
+                                className="p-1.5 text-gray-400 hover:text-red-400 transition"
+                                title="Delete loop"
+                            >
+                                <Trash2 size={14} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default RegionList;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { Award, ChevronDown, ChevronUp, X } from 'lucide-react';
+import { formatTime } from '../utils/time';
+
+const formatCents = (c) => (c === null ? '--' : `${c > 0 ? '+' : ''}${Math.round(c)}¢`);
+const formatMs = (t) => (t === null ? '--' : `${t > 0 ? '+' : ''}${Math.round(t * 1000)} ms`);
+
+const ScorePanel = ({ score, onSeek, onClose }) => {
+    const [showDetails, setShowDetails] = useState(false);
+    if (!score) return null;
+
+    const grade = score.score >= 80 ? 'text-emerald-400' : score.score >= 50 ? 'text-amber-400' : 'text-red-400';
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border border-gray-700 w-full max-w-4xl mx-auto mt-6">
+            {/* Summary */}
+            <div className="flex flex-col md:flex-row items-center justify-between gap-6">
+                <div className="flex items-center gap-4">
+                    <div className="p-3 bg-gray-900/50 rounded-full">
+                        <Award size={28} className={grade} />
+                    </div>
+                    <div>
+                        <div className="text-xs text-gray-400 uppercase font-bold tracking-wider">Take Score</div>
+                        <div className={`text-4xl font-black ${grade}`}>{score.score}</div>
+                    </div>
+                </div>
+
+                <div className="flex gap-6 text-center">
+                    <div>
+                        <div className="text-xs text-gray-400 uppercase tracking-wider">Notes Hit</div>
+                        <div className="text-lg font-bold text-white">{score.hits} / {score.total}</div>
+                    </div>
+                    <div>
+                        <div className="text-xs text-gray-400 uppercase tracking-wider">Avg Pitch</div>
+                        <div className="text-lg font-bold text-white">
+                            {score.meanAbsCents === null ? '--' : `±${Math.round(score.meanAbsCents)}¢`}
+                        </div>
+                    </div>
+                    <div>
+                        <div className="text-xs text-gray-400 uppercase tracking-wider">Avg Timing</div>
+                        <div className="text-lg font-bold text-white">{formatMs(score.meanTimingError)}</div>
+                    </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={() => setShowDetails(!showDetails)}
+                        className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium transition bg-gray-700 text-gray-300 hover:bg-gray-600"
+                    >
+                        {showDetails ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                        <span>Per-Note</span>
+                    </button>
+                    {onClose && (
+                        <button
+                            onClick={onClose}
+                            className="p-1.5 text-gray-400 hover:text-white transition"
+                            title="Dismiss score"
+                        >
+                            <X size={18} />
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {/* Per-note breakdown */}
+            {showDetails && (
+                <div className="mt-4 max-h-64 overflow-y-auto rounded-lg border border-gray-700">
+                    <table className="w-full text-sm font-mono">
+                        <thead className="bg-gray-900 text-gray-400 text-xs uppercase sticky top-0">
+                            <tr>
+                                <th className="px-3 py-2 text-left">Time</th>
+                                <th className="px-3 py-2 text-left">Note</th>
+                                <th className="px-3 py-2 text-right">Pitch</th>
+                                <th className="px-3 py-2 text-right">Timing</th>
+                                <th className="px-3 py-2 text-right">Result</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {score.notes.map((n, i) => (
+                                <tr
+                                    key={i}
+                                    onClick={() => onSeek && onSeek(n.startTime)}
+                                    className="border-t border-gray-700/50 hover:bg-gray-700/40 cursor-pointer"
+                                >
+                                    <td className="px-3 py-1.5 text-gray-400">{formatTime(n.startTime, 1)}</td>
+                                    <td className="px-3 py-1.5 text-white font-bold">{n.label}</td>
+                                    <td className={`px-3 py-1.5 text-right ${n.cents !== null && Math.abs(n.cents) <= score.centsTolerance ? 'text-emerald-400' : 'text-amber-400'}`}>
+                                        {formatCents(n.cents)}
+                                    </td>
+                                    <td className="px-3 py-1.5 text-right text-gray-300">{formatMs(n.timingError)}</td>
+                                    <td className="px-3 py-1.5 text-right">
+                                        <span className={`px-2 py-0.5 rounded text-xs font-bold ${n.hit ? 'bg-emerald-600/80 text-white' : 'bg-red-900/60 text-red-200'}`}>
+                                            {n.hit ? 'HIT' : 'MISS'}
+                                        </span>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ScorePanel;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { Music, Trash2, Clock } from 'lucide-react';
+
+const formatDate = (ts) => {
+    const d = new Date(ts);
+    const sameDay = d.toDateString() === new Date().toDateString();
+    return sameDay ? d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : d.toLocaleDateString();
+};
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const SongLibrary = ({ songs, onOpen, onDelete }) => {
+    if (!songs || songs.length === 0) return null;
+
+    return (
+        <div className="w-full max-w-md text-left">
+            <h3 className="flex items-center gap-2 text-xs text-gray-400 uppercase font-bold tracking-wider mb-2">
+                <Clock size={14} />
+                Recent Songs
+            </h3>
+            <ul className="divide-y divide-gray-800 border border-gray-800 rounded-xl overflow-hidden bg-gray-900">
+                {songs.map(song => (
+                    <li key={song.id} className="flex items-center gap-3 px-4 py-3 hover:bg-gray-800 transition group">
+                        <button
+                            onClick={() => onOpen(song.id)}
+                            className="flex-1 flex items-center gap-3 min-w-0 text-left"
+                        >
+                            <Music size={18} className="text-indigo-400 shrink-0" />
+                            <div className="min-w-0">
+                                <div className="text-sm font-medium text-gray-200 truncate group-hover:text-white">{song.name}</div>
+                                <div className="text-xs text-gray-500">
+                                    {formatDate(song.lastOpenedAt)} · {formatSize(song.size)}
+                                    {song.settings?.rootKey && ` · Sa ${song.settings.rootKey}`}
+                                </div>
+                            </div>
+                        </button>
+                        <button
+                            onClick={() => onDelete(song.id)}
+                            className="p-1.5 text-gray-600 hover:text-red-400 transition opacity-0 group-hover:opacity-100"
+                            title="Remove from library"
+                        >
+                            <Trash2 size={16} />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default SongLibrary;
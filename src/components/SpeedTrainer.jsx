@@ -0,0 +1,62 @@
+import React from 'react';
+import { Gauge } from 'lucide-react';
+import NumberField from './NumberField';
+
+const SpeedTrainer = ({ settings, onSettingsChange, passes, playbackRate, hasActiveLoop }) => {
+    const update = (patch) => onSettingsChange({ ...settings, ...patch });
+    const atTarget = playbackRate >= settings.targetRate;
+
+    return (
+        <div className="bg-gray-800 p-4 rounded-xl shadow-2xl border border-gray-700 w-full max-w-4xl mx-auto mt-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <button
+                    onClick={() => update({ enabled: !settings.enabled })}
+                    className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium transition ${settings.enabled ? 'bg-emerald-600 text-white shadow-lg shadow-emerald-500/20' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                    title="Ramp the speed up as the loop repeats"
+                >
+                    <Gauge size={16} />
+                    <span>Speed Trainer</span>
+                </button>
+
+                {settings.enabled && (
+                    <div className="flex items-center gap-4 text-sm font-mono">
+                        <span className="text-gray-400">
+                            Pass <span className="text-white font-bold">{passes}</span> / {settings.passesPerStep}
+                        </span>
+                        <span className={`font-bold ${atTarget ? 'text-emerald-400' : 'text-indigo-300'}`}>
+                            {playbackRate.toFixed(2)}x{atTarget && ' ✓'}
+                        </span>
+                        {!hasActiveLoop && <span className="text-xs text-amber-400">Select a loop to start</span>}
+                    </div>
+                )}
+            </div>
+
+            {settings.enabled && (
+                <div className="flex flex-wrap items-center gap-4 mt-4">
+                    <NumberField label="Start" value={settings.startRate} min={0.25} max={2} step={0.05} suffix="x"
+                        onChange={(v) => update({ startRate: v })} />
+                    <NumberField label="Target" value={settings.targetRate} min={0.25} max={2} step={0.05} suffix="x"
+                        onChange={(v) => update({ targetRate: v })} />
+                    <NumberField label="Step" value={settings.step} min={0.01} max={0.5} step={0.01} suffix="x"
+                        onChange={(v) => update({ step: v })} />
+                    <NumberField label="Every" value={settings.passesPerStep} min={1} max={20} step={1} suffix="passes"
+                        onChange={(v) => update({ passesPerStep: Math.max(1, Math.round(v)) })} />
+
+                    <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={settings.dropBack}
+                            onChange={(e) => update({ dropBack: e.target.checked })}
+                            className="accent-indigo-500"
+                        />
+                        <span>Drop back a step when a take scores below</span>
+                    </label>
+                    <NumberField label="" value={settings.dropBackBelow} min={0} max={100} step={5}
+                        onChange={(v) => update({ dropBackBelow: v })} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SpeedTrainer;
@@ -0,0 +1,27 @@
+import React from 'react';
+
+const Dots = ({ count }) => (
+    <span className="flex justify-center gap-[0.15em] h-[0.3em]">
+        {Array.from({ length: count }).map((_, i) => (
+            <span key={i} className="w-[0.15em] h-[0.15em] min-w-[2px] min-h-[2px] rounded-full bg-current" />
+        ))}
+    </span>
+);
+
+// A swara in Bhatkhande style: dots above (taar) or below (mandra),
+// underline for komal, vertical mark above tivra Ma. Sized by the parent font.
+const SwaraLabel = ({ swara, className = '' }) => {
+    const { text, komal, tivra, saptak } = swara;
+    return (
+        <span className={`inline-flex flex-col items-center leading-none align-middle ${className}`}>
+            <Dots count={Math.max(0, saptak)} />
+            <span className="relative">
+                {tivra && <span className="absolute left-1/2 -top-[0.3em] w-[0.08em] min-w-[1px] h-[0.3em] bg-current" />}
+                <span className={komal ? 'underline decoration-[0.08em] underline-offset-[0.15em]' : ''}>{text}</span>
+            </span>
+            <Dots count={Math.max(0, -saptak)} />
+        </span>
+    );
+};
+
+export default SwaraLabel;
@@ -0,0 +1,143 @@
+import React from 'react';
+import { Mic2, Eye, EyeOff, Star, Play, Trash2, Award, Download, Layers, Loader2, Piano } from 'lucide-react';
+import NameInput from './NameInput';
+import { formatTime } from '../utils/time';
+import { mixUnavailableReason } from '../utils/wavExport';
+import { takeMidiUnavailableReason } from '../utils/midiExport';
+
+const formatDate = (ts) => new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const TakeList = ({ takes, visibleTakeIds, currentTakeId, onToggleVisible, onToggleStar, onRename, onPlay, onSelect, onDelete, onExport, onExportMidi, exportingTakeId, mixBalance, onMixBalanceChange, midiPitchBend, onMidiPitchBendChange }) => {
+    if (!takes.length) return null;
+
+    return (
+        <div className="bg-gray-800 p-4 rounded-xl shadow-2xl border border-gray-700 w-full max-w-4xl mx-auto mt-6">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                <h3 className="flex items-center gap-2 text-xs text-gray-400 uppercase font-bold tracking-wider">
+                    <Mic2 size={14} />
+                    Takes ({takes.length})
+                </h3>
+
+                {/* Song/voice balance for mix exports */}
+                <label className="flex items-center gap-2 text-xs text-gray-400" title="Balance between song and voice in mix exports">
+                    <span className="uppercase font-bold tracking-wider">Mix</span>
+                    <span>Song</span>
+                    <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={mixBalance}
+                        onChange={(e) => onMixBalanceChange(Number(e.target.value))}
+                        className="w-24 accent-orange-500"
+                    />
+                    <span>Voice</span>
+                </label>
+            </div>
+
+            <label className="flex items-center gap-2 mb-3 text-xs text-gray-400 cursor-pointer" title="Add pitch-bend from the take's pitch contour to MIDI exports">
+                <input
+                    type="checkbox"
+                    checked={midiPitchBend}
+                    onChange={(e) => onMidiPitchBendChange(e.target.checked)}
+                    className="accent-orange-500"
+                />
+                <span>Include pitch bend in MIDI</span>
+            </label>
+
+            <ul className="space-y-1 max-h-64 overflow-y-auto">
+                {[...takes].reverse().map(take => {
+                    const visible = visibleTakeIds.includes(take.id);
+                    const isCurrent = take.id === currentTakeId;
+                    const isExporting = take.id === exportingTakeId;
+                    const noMixReason = mixUnavailableReason(take);
+                    const noMidiReason = takeMidiUnavailableReason(take);
+                    return (
+                        <li
+                            key={take.id}
+                            className={`flex items-center gap-3 px-3 py-2 rounded-lg transition ${isCurrent ? 'bg-gray-700 ring-1 ring-orange-500' : 'hover:bg-gray-700/50'}`}
+                        >
+                            {/* Pitch line toggle, shown in the take's color */}
+                            <button
+                                onClick={() => onToggleVisible(take.id)}
+                                className="p-1 transition"
+                                style={{ color: visible ? take.color : '#4B5563' }}
+                                title={visible ? 'Hide pitch line' : 'Show pitch line'}
+                            >
+                                {visible ? <Eye size={16} /> : <EyeOff size={16} />}
+                            </button>
+                            <button
+                                onClick={() => onToggleStar(take.id)}
+                                className={`p-1 transition ${take.starred ? 'text-yellow-400' : 'text-gray-600 hover:text-gray-400'}`}
+                                title={take.starred ? 'Unstar' : 'Star'}
+                            >
+                                <Star size={16} fill={take.starred ? 'currentColor' : 'none'} />
+                            </button>
+                            <NameInput
+                                value={take.name}
+                                onCommit={(name) => onRename(take.id, name)}
+                                className="flex-1 min-w-0 bg-transparent text-sm text-gray-200 focus:outline-none focus:text-white"
+                            />
+                            <span className="hidden md:inline text-xs text-gray-500 truncate max-w-[10rem]">
+                                {take.region || `from ${formatTime(take.offset || 0)}`}
+                            </span>
+                            <span className="text-xs font-mono text-gray-500">{formatDate(take.createdAt)}</span>
+                            <button
+                                onClick={() => onSelect(take.id)}
+                                className={`p-1.5 transition ${isCurrent ? 'text-orange-400' : 'text-gray-400 hover:text-orange-400'}`}
+                                title="Score this take"
+                            >
+                                <Award size={14} />
+                            </button>
+                            <button
+                                onClick={() => onPlay(take.id)}
+                                className="p-1.5 text-gray-400 hover:text-emerald-400 transition"
+                                title="Play take"
+                            >
+                                <Play size={14} />
+                            </button>
+                            <button
+                                onClick={() => onExport(take.id, false)}
+                                disabled={!!exportingTakeId}
+                                className="p-1.5 text-gray-400 hover:text-sky-400 transition disabled:opacity-40"
+                                title="Download take as WAV"
+                            >
+                                {isExporting ? <Loader2 size={14} className="animate-spin" /> : <Download size={14} />}
+                            </button>
+                            {/* Disabled buttons don't show tooltips, so the reason sits on a wrapper */}
+                            <span title={noMixReason || undefined}>
+                                <button
+                                    onClick={() => onExport(take.id, true)}
+                                    disabled={!!exportingTakeId || !!noMixReason}
+                                    className="p-1.5 text-gray-400 hover:text-sky-400 transition disabled:opacity-40 disabled:pointer-events-none"
+                                    title="Download take mixed with the song (WAV)"
+                                >
+                                    <Layers size={14} />
+                                </button>
+                            </span>
+                            <span title={noMidiReason || undefined}>
+                                <button
+                                    onClick={() => onExportMidi(take.id)}
+                                    disabled={!!noMidiReason}
+                                    className="p-1.5 text-gray-400 hover:text-sky-400 transition disabled:opacity-40 disabled:pointer-events-none"
+                                    title="Download transcription as MIDI"
+                                >
+                                    <Piano size={14} />
+                                </button>
+                            </span>
+                            <button
+                                onClick={() => onDelete(take.id)}
+                                className="p-1.5 text-gray-400 hover:text-red-400 transition"
+                                title="Delete take"
+                            >
+                                <Trash2 size={14} />
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default TakeList;
@@ -0,0 +1,141 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Power, Volume2, Timer } from 'lucide-react';
+import { createTanpura, TANPURA_TUNINGS } from '../utils/tanpura';
+import { NOTES, getSaFrequency } from '../utils/notes';
+
+const OCTAVES = [2, 3, 4];
+
+const TanpuraPanel = ({ rootKey, onRootKeyChange }) => {
+    const [isOn, setIsOn] = useState(false);
+    const [tuning, setTuning] = useState('Pa');
+    const [octave, setOctave] = useState(3);
+    const [volume, setVolume] = useState(0.5);
+    const [pluckGap, setPluckGap] = useState(0.8); // Seconds between strings
+    const tanpuraRef = useRef(null);
+
+    const saFreq = getSaFrequency(rootKey, octave);
+
+    // Engine is created lazily on first start (AudioContext needs a user gesture)
+    const toggle = () => {
+        if (isOn) {
+            tanpuraRef.current?.stop();
+            setIsOn(false);
+            return;
+        }
+        if (!tanpuraRef.current) {
+            tanpuraRef.current = createTanpura({ saFreq, tuning, volume, pluckGap });
+        }
+        tanpuraRef.current.start();
+        setIsOn(true);
+    };
+
+    // Follow Sa (Key), octave and tuning changes
+    useEffect(() => {
+        if (saFreq) tanpuraRef.current?.setTuning({ saFreq, tuning });
+    }, [saFreq, tuning]);
+
+    useEffect(() => {
+        tanpuraRef.current?.setVolume(volume);
+    }, [volume]);
+
+    useEffect(() => {
+        tanpuraRef.current?.setPluckGap(pluckGap);
+    }, [pluckGap]);
+
+    useEffect(() => () => {
+        tanpuraRef.current?.destroy();
+        tanpuraRef.current = null;
+    }, []);
+
+    return (
+        <div className="flex flex-wrap items-center gap-4 bg-gray-900 px-4 py-3 rounded-xl border border-gray-800">
+            <button
+                onClick={toggle}
+                className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium transition ${isOn ? 'bg-teal-600 text-white shadow-lg shadow-teal-500/20' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'}`}
+                title={isOn ? 'Stop Tanpura' : 'Start Tanpura'}
+            >
+                <Power size={16} />
+                <span>Tanpura</span>
+            </button>
+
+            {/* Sa selector for riyaz without a song (the song toolbar has its own) */}
+            {onRootKeyChange && (
+                <div className="flex items-center gap-2">
+                    <span className="text-xs text-gray-400 uppercase font-bold">Sa (Key)</span>
+                    <select
+                        value={rootKey}
+                        onChange={(e) => onRootKeyChange(e.target.value)}
+                        className="bg-transparent text-indigo-400 font-bold focus:outline-none cursor-pointer"
+                    >
+                        {NOTES.map(note => (
+                            <option key={note} value={note} className="bg-gray-900">{note}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            <span className="text-xs font-mono text-teal-300">
+                Sa = {rootKey}{octave}{saFreq ? ` / ${Math.round(saFreq)} Hz` : ''}
+            </span>
+
+            {/* Tuning */}
+            <div className="flex gap-1">
+                {Object.entries(TANPURA_TUNINGS).map(([key, t]) => (
+                    <button
+                        key={key}
+                        onClick={() => setTuning(key)}
+                        className={`px-2 py-1 rounded text-xs font-bold transition ${tuning === key ? 'bg-teal-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'}`}
+                        title={t.label}
+                    >
+                        {key}
+                    </button>
+                ))}
+            </div>
+
+            {/* Octave */}
+            <div className="flex items-center gap-2">
+                <span className="text-xs text-gray-400 uppercase font-bold">Octave</span>
+                <select
+                    value={octave}
+                    onChange={(e) => setOctave(Number(e.target.value))}
+                    className="bg-transparent text-teal-400 font-bold focus:outline-none cursor-pointer"
+                >
+                    {OCTAVES.map(o => (
+                        <option key={o} value={o} className="bg-gray-900">{o}</option>
+                    ))}
+                </select>
+            </div>
+
+            {/* Volume */}
+            <div className="flex items-center gap-2">
+                <Volume2 size={16} className="text-gray-400" />
+                <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={volume}
+                    onChange={(e) => setVolume(Number(e.target.value))}
+                    className="w-24 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500"
+                />
+            </div>
+
+            {/* Pluck tempo */}
+            <div className="flex items-center gap-2" title="Time between plucks">
+                <Timer size={16} className="text-gray-400" />
+                <input
+                    type="range"
+                    min="0.4"
+                    max="1.6"
+                    step="0.1"
+                    value={pluckGap}
+                    onChange={(e) => setPluckGap(Number(e.target.value))}
+                    className="w-24 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500"
+                />
+                <span className="text-xs font-mono text-gray-400 w-8">{pluckGap.toFixed(1)}s</span>
+            </div>
+        </div>
+    );
+};
+
+export default TanpuraPanel;
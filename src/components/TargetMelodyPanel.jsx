@@ -0,0 +1,88 @@
+import React from 'react';
+import { FileMusic, Upload, X } from 'lucide-react';
+import NumberField from './NumberField';
+
+const trackLabel = (track) => {
+    const name = track.name || `Track ${track.index + 1}`;
+    const channel = track.channel ? ` · ch ${track.channel}` : '';
+    return `${name}${channel} (${track.notes.length} notes)`;
+};
+
+// Reference melody from a MIDI file, drawn as target bars over the pitch graph
+const TargetMelodyPanel = ({ melody, settings, onLoadFile, onSettingsChange, onClear, error }) => {
+    const update = (patch) => onSettingsChange({ ...settings, ...patch });
+
+    return (
+        <div className="bg-gray-800 p-4 rounded-xl shadow-2xl border border-gray-700 w-full max-w-4xl mx-auto mt-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <h3 className="flex items-center gap-2 text-xs text-gray-400 uppercase font-bold tracking-wider">
+                    <FileMusic size={14} />
+                    Target Melody
+                    {melody && <span className="normal-case font-normal text-gray-500 truncate max-w-[14rem]">· {melody.fileName}</span>}
+                </h3>
+
+                <div className="flex items-center gap-2">
+                    <label className="cursor-pointer flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-700 text-gray-300 hover:bg-gray-600 transition">
+                        <input
+                            type="file"
+                            accept=".mid,.midi,audio/midi"
+                            onChange={(e) => {
+                                if (e.target.files[0]) onLoadFile(e.target.files[0]);
+                                e.target.value = '';
+                            }}
+                            className="hidden"
+                        />
+                        <Upload size={14} />
+                        <span>{melody ? 'Change MIDI' : 'Load MIDI'}</span>
+                    </label>
+                    {melody && (
+                        <button
+                            onClick={onClear}
+                            className="p-1.5 text-gray-400 hover:text-red-400 transition"
+                            title="Remove target melody"
+                        >
+                            <X size={16} />
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {error && <p className="mt-3 text-sm text-red-400">{error}</p>}
+
+            {melody && (
+                <div className="flex flex-wrap items-center gap-4 mt-4">
+                    {melody.tracks.length > 1 && (
+                        <label className="flex items-center gap-2 text-xs text-gray-400">
+                            <span className="uppercase font-bold tracking-wider">Track</span>
+                            <select
+                                value={settings.trackIndex}
+                                onChange={(e) => update({ trackIndex: Number(e.target.value) })}
+                                className="px-2 py-1 bg-gray-900 border border-gray-700 rounded text-gray-200 text-sm focus:outline-none focus:border-indigo-500"
+                            >
+                                {melody.tracks.map(track => (
+                                    <option key={track.index} value={track.index}>{trackLabel(track)}</option>
+                                ))}
+                            </select>
+                        </label>
+                    )}
+                    <NumberField label="Offset" value={settings.offset} min={-60} max={600} step={0.05} suffix="s" width="w-20"
+                        onChange={(v) => update({ offset: v })} />
+                    <NumberField label="Transpose" value={settings.transpose} min={-24} max={24} step={1} suffix="st" width="w-20"
+                        onChange={(v) => update({ transpose: Math.round(v) })} />
+
+                    <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer" title="Drive the Current Note card, badges and scoring from the MIDI instead of the detected pitch">
+                        <input
+                            type="checkbox"
+                            checked={settings.useForNotes}
+                            onChange={(e) => update({ useForNotes: e.target.checked })}
+                            className="accent-indigo-500"
+                        />
+                        <span>Use as reference notes</span>
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TargetMelodyPanel;
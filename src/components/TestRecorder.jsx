@@ -1,5 +1,6 @@
 import React, { useState, useRef } from 'react';
 import { Mic, Square } from 'lucide-react';
+import LatencyCalibration from './LatencyCalibration';
 
 const TestRecorder = ({ onBack }) => {
     const [isRecording, setIsRecording] = useState(false);
@@ -102,6 +103,8 @@ const TestRecorder = ({ onBack }) => {
         <div className="fixed inset-0 bg-black z-50 flex flex-col items-center justify-center p-4 text-white font-mono overflow-y-auto">
             <h1 className="text-2xl font-bold mb-4 text-orange-500">MIC DIAGNOSTIC MODE</h1>
 
+            <LatencyCalibration onLog={addLog} />
+
             <div className="w-full max-w-md mb-4 p-4 bg-yellow-900/30 border border-yellow-600 rounded-lg space-y-3">
                 <h3 className="text-yellow-400 font-bold text-sm">Test Controls</h3>
 
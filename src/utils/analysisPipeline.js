@@ -0,0 +1,67 @@
+// Analysis Pipeline — the settings that turn a buffer into a pitch line.
+// Song and take analysis (and the live mic line) all run the same steps:
+//
+//   normalize -> detect -> noise gate -> median filter -> fill gaps
+//
+// so the green and orange lines can be compared fairly. Presets cover the
+// usual sources; any field can be tuned afterwards (the preset then shows
+// as "Custom").
+
+import { sameDetector } from './detectors';
+import { MIC_YIN_OPTIONS, MIC_NOISE_GATE } from './pitch';
+
+// pipeline: {
+//   detector,       // see detectors.js
+//   normalize,      // Peak-normalize before detection (quiet mic input)
+//   gate,           // { minFreq, maxFreq } — anything outside is unvoiced
+//   medianFilter,   // 3-point median over voiced frames (removes spikes)
+//   fillGaps        // Interpolate across gaps up to this many seconds (0 = off)
+// }
+export const ANALYSIS_PRESETS = {
+    songMix: {
+        label: 'Song mix',
+        hint: 'Vocals over instruments: strict detector, short gap fill so instrumental breaks stay empty',
+        pipeline: {
+            detector: { algorithm: 'yin', windowSize: 2048, hopSize: 512, threshold: 0.1, probabilityThreshold: 0.1 },
+            normalize: true,
+            gate: { minFreq: 60, maxFreq: 1100 },
+            medianFilter: true,
+            fillGaps: 0.25
+        }
+    },
+    soloVoice: {
+        label: 'Solo voice',
+        hint: 'An isolated vocal track or a cappella recording',
+        pipeline: {
+            detector: { algorithm: 'yin', windowSize: 2048, hopSize: 512, ...MIC_YIN_OPTIONS },
+            normalize: true,
+            gate: MIC_NOISE_GATE,
+            medianFilter: true,
+            fillGaps: 0.5
+        }
+    },
+    micTake: {
+        label: 'Mic take',
+        hint: 'Quiet, breathy mic input: lenient detector, long gap fill',
+        pipeline: {
+            detector: { algorithm: 'yin', windowSize: 2048, hopSize: 512, ...MIC_YIN_OPTIONS },
+            normalize: true,
+            gate: MIC_NOISE_GATE,
+            medianFilter: true,
+            fillGaps: 1.5
+        }
+    }
+};
+
+export const DEFAULT_SONG_PIPELINE = ANALYSIS_PRESETS.songMix.pipeline;
+export const DEFAULT_MIC_PIPELINE = ANALYSIS_PRESETS.micTake.pipeline;
+
+export const samePipeline = (a, b) => !!a && !!b &&
+    sameDetector(a.detector, b.detector) &&
+    a.normalize === b.normalize && a.medianFilter === b.medianFilter &&
+    a.fillGaps === b.fillGaps &&
+    a.gate.minFreq === b.gate.minFreq && a.gate.maxFreq === b.gate.maxFreq;
+
+// Preset key matching these settings, or null when they have been tuned
+export const findPreset = (pipeline) =>
+    Object.keys(ANALYSIS_PRESETS).find(key => samePipeline(ANALYSIS_PRESETS[key].pipeline, pipeline)) || null;
@@ -0,0 +1,73 @@
+// Pitch Detectors — one interface over pitchfinder's algorithms.
+// Every detector returns { freq, confidence } per frame (freq = null when
+// unvoiced, confidence 0..1) so the graph can fade unreliable points.
+
+import { YIN, Macleod, AMDF, DynamicWavelet } from 'pitchfinder';
+
+// `threshold` means something different per algorithm (null = not tunable)
+export const DETECTORS = {
+    yin: { label: 'YIN', threshold: { label: 'Threshold', min: 0.05, max: 0.5, step: 0.01, hint: 'Lower is stricter' } },
+    mpm: { label: 'McLeod (MPM)', threshold: { label: 'Cutoff', min: 0.8, max: 0.99, step: 0.01, hint: 'Higher prefers the fundamental' } },
+    amdf: { label: 'AMDF', threshold: { label: 'Sensitivity', min: 0.01, max: 0.5, step: 0.01, hint: 'Lower is stricter' } },
+    wavelet: { label: 'Dynamic Wavelet', threshold: null }
+};
+
+export const WINDOW_SIZES = [1024, 2048, 4096];
+export const HOP_SIZES = [256, 512, 1024, 2048];
+
+// Default threshold when switching algorithm
+export const DEFAULT_THRESHOLDS = { yin: 0.1, mpm: 0.93, amdf: 0.1, wavelet: null };
+
+export const sameDetector = (a, b) => !!a && !!b &&
+    a.algorithm === b.algorithm && a.windowSize === b.windowSize &&
+    a.hopSize === b.hopSize && a.threshold === b.threshold;
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+// Normalized autocorrelation at the detected period: 1 = perfectly periodic
+export const periodicity = (frame, sampleRate, freq) => {
+    const lag = Math.round(sampleRate / freq);
+    if (lag <= 0 || lag >= frame.length) return 0;
+    let cross = 0;
+    let energyA = 0;
+    let energyB = 0;
+    for (let i = 0; i + lag < frame.length; i++) {
+        cross += frame[i] * frame[i + lag];
+        energyA += frame[i] * frame[i];
+        energyB += frame[i + lag] * frame[i + lag];
+    }
+    const norm = Math.sqrt(energyA * energyB);
+    return norm > 0 ? clamp01(cross / norm) : 0;
+};
+
+// settings: { algorithm, windowSize, threshold, probabilityThreshold }
+export const createDetector = (settings, sampleRate) => {
+    const { algorithm, windowSize, threshold } = settings;
+
+    if (algorithm === 'mpm') {
+        const detect = Macleod({ sampleRate, bufferSize: windowSize, cutoff: threshold ?? DEFAULT_THRESHOLDS.mpm });
+        return (frame) => {
+            const { freq, probability } = detect(frame);
+            return freq > 0 ? { freq, confidence: clamp01(probability) } : { freq: null, confidence: 0 };
+        };
+    }
+
+    let detect;
+    if (algorithm === 'amdf') {
+        detect = AMDF({ sampleRate, sensitivity: threshold ?? DEFAULT_THRESHOLDS.amdf, minFrequency: 50, maxFrequency: 1200 });
+    } else if (algorithm === 'wavelet') {
+        detect = DynamicWavelet({ sampleRate });
+    } else {
+        detect = YIN({
+            sampleRate,
+            threshold: threshold ?? DEFAULT_THRESHOLDS.yin,
+            probabilityThreshold: settings.probabilityThreshold ?? 0.1
+        });
+    }
+
+    return (frame) => {
+        const freq = detect(frame);
+        if (!freq || freq < 0) return { freq: null, confidence: 0 };
+        return { freq, confidence: periodicity(frame, sampleRate, freq) };
+    };
+};
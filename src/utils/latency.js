@@ -0,0 +1,170 @@
+// Recording Latency — measures how late recorded audio lands relative to what
+// was playing (output + input latency + MediaRecorder startup), stores the
+// result per microphone and hands it to the recorder so takes line up.
+//
+// Two ways to measure:
+//   'loopback' — clicks play through the speakers and the mic hears them
+//   'clap'     — with headphones on, the singer claps along with the clicks
+
+const STORAGE_KEY = 'vocal-practice-latency';
+
+const CLICK_COUNT = 8;
+const CLICK_INTERVAL = 0.75; // s
+const LEAD_IN = 1.0;         // s of silence before the first click
+// Where to look for each click (or clap), relative to when the click was played.
+// Claps can land a little early, so their window opens sooner.
+const SEARCH_WINDOWS = { loopback: [-0.05, 0.5], clap: [-0.15, 0.5] };
+
+// Same constraints as the real recorder so the measured path is the real path
+export const RECORDING_CONSTRAINTS = {
+    echoCancellation: false,
+    noiseSuppression: false,
+    autoGainControl: false
+};
+
+// --- Per-device storage ---
+
+// Stable name for the input device behind a stream
+export const getDeviceKey = (stream) => {
+    const track = stream.getAudioTracks()[0];
+    if (!track) return 'default';
+    return track.getSettings?.().deviceId || track.label || 'default';
+};
+
+const readAll = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+// { latency, spread, method, label, measuredAt } or null
+export const loadLatency = (deviceKey) => readAll()[deviceKey] || null;
+
+export const saveLatency = (deviceKey, result) => {
+    const all = readAll();
+    all[deviceKey] = { ...result, measuredAt: Date.now() };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+};
+
+export const clearLatency = (deviceKey) => {
+    const all = readAll();
+    delete all[deviceKey];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+};
+
+// --- Measurement ---
+
+const scheduleClick = (ctx, when) => {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = 1000;
+    gain.gain.setValueAtTime(0.8, when);
+    gain.gain.exponentialRampToValueAtTime(0.001, when + 0.03);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(when);
+    osc.stop(when + 0.04);
+};
+
+const wait = (seconds) => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// First sample in each search window that rises well above the window's noise floor
+const findOnsets = (buffer, expectedTimes, [before, after]) => {
+    const data = buffer.getChannelData(0);
+    const rate = buffer.sampleRate;
+
+    return expectedTimes.map(expected => {
+        const from = Math.max(0, Math.floor((expected + before) * rate));
+        const to = Math.min(data.length, Math.floor((expected + after) * rate));
+        if (to <= from) return null;
+
+        let peak = 0;
+        for (let i = from; i < to; i++) peak = Math.max(peak, Math.abs(data[i]));
+        if (peak < 0.02) return null; // Nothing heard
+
+        const threshold = peak * 0.3;
+        for (let i = from; i < to; i++) {
+            if (Math.abs(data[i]) >= threshold) return i / rate - expected;
+        }
+        return null;
+    });
+};
+
+// Plays clicks while recording through the same MediaRecorder path as a take.
+// Resolves with { latency, spread, detected, total, deviceKey, label } (seconds).
+export const measureLatency = async ({ method = 'loopback', onProgress } = {}) => {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: RECORDING_CONSTRAINTS });
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+
+    try {
+        await ctx.resume();
+
+        let options = {};
+        if (MediaRecorder.isTypeSupported('audio/webm;codecs=opus')) {
+            options = { mimeType: 'audio/webm;codecs=opus' };
+        } else if (MediaRecorder.isTypeSupported('audio/mp4')) {
+            options = { mimeType: 'audio/mp4' };
+        }
+        const recorder = new MediaRecorder(stream, options);
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        // Recording time 0 is when start() is called — the same moment a real take
+        // captures the song position
+        recorder.start();
+        const contextStart = ctx.currentTime;
+
+        const expectedTimes = [];
+        for (let i = 0; i < CLICK_COUNT; i++) {
+            const offset = LEAD_IN + i * CLICK_INTERVAL;
+            scheduleClick(ctx, contextStart + offset);
+            expectedTimes.push(offset);
+        }
+        const searchWindow = SEARCH_WINDOWS[method] || SEARCH_WINDOWS.loopback;
+
+        for (let i = 0; i < CLICK_COUNT; i++) {
+            await wait(i === 0 ? LEAD_IN : CLICK_INTERVAL);
+            onProgress && onProgress((i + 1) / CLICK_COUNT);
+        }
+        await wait(searchWindow[1] + 0.1); // Let the last click reach the mic
+
+        recorder.stop();
+        await stopped;
+
+        const blob = new Blob(chunks, { type: options.mimeType || 'audio/webm' });
+        const buffer = await ctx.decodeAudioData(await blob.arrayBuffer());
+
+        const onsets = findOnsets(buffer, expectedTimes, searchWindow).filter(v => v !== null);
+        if (onsets.length < Math.ceil(CLICK_COUNT / 2)) {
+            throw new Error(method === 'loopback'
+                ? 'Could not hear the clicks. Turn the speakers up (no headphones) and try again.'
+                : 'Could not hear your claps. Clap louder, close to the mic, right on each click.');
+        }
+
+        const latency = median(onsets);
+        const spread = median(onsets.map(v => Math.abs(v - latency)));
+        const track = stream.getAudioTracks()[0];
+        return {
+            latency,
+            spread,
+            detected: onsets.length,
+            total: CLICK_COUNT,
+            method,
+            deviceKey: getDeviceKey(stream),
+            label: track?.label || 'Default microphone'
+        };
+    } finally {
+        stream.getTracks().forEach(t => t.stop());
+        ctx.close();
+    }
+};
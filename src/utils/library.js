@@ -0,0 +1,134 @@
+// Song Library — IndexedDB persistence for uploaded songs and practice state.
+//
+// songs: { id, name, type, size, blob, addedAt, lastOpenedAt,
+//          settings: { rootKey, showSargam, sargamScript, westernMode, tuningSystem, notationMode, raga, customSwaras },
+//          regions: [{ id, start, end, content, color }],
+//          analysis: { version, pipeline, segments, pitches, duration } }
+// takes: { id, songId, blob, createdAt, offset, duration, segments,
+//          latency, name, region, starred, color, timeline,
+//          transpose: { semitones, cents } }
+//          (offset already has the mic's calibrated latency subtracted;
+//          timeline: [{ at, time, rate }], see takeTiming.js)
+
+const DB_NAME = 'vocal-practice-library';
+const DB_VERSION = 1;
+
+// Bump when pitch analysis output changes so stale caches are ignored
+export const ANALYSIS_VERSION = 3;
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('songs')) {
+                const songs = db.createObjectStore('songs', { keyPath: 'id', autoIncrement: true });
+                songs.createIndex('lastOpenedAt', 'lastOpenedAt');
+            }
+            if (!db.objectStoreNames.contains('takes')) {
+                const takes = db.createObjectStore('takes', { keyPath: 'id', autoIncrement: true });
+                takes.createIndex('songId', 'songId');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+    return dbPromise;
+};
+
+// Run a single request inside a transaction and resolve with its result
+const run = async (storeName, mode, fn) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+// Merge fields into an existing record (read + write in one transaction)
+const patchRecord = async (storeName, id, patch) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (request.result) store.put({ ...request.result, ...patch });
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+// --- Songs ---
+
+// Summaries only (no blobs) — most recently opened first
+const summarize = ({ id, name, size, addedAt, lastOpenedAt, settings }) => ({ id, name, size, addedAt, lastOpenedAt, settings });
+
+export const listSongs = async () => {
+    const songs = await run('songs', 'readonly', store => store.getAll());
+    return songs.map(summarize).sort((a, b) => b.lastOpenedAt - a.lastOpenedAt);
+};
+
+export const getSong = (id) => run('songs', 'readonly', store => store.get(id));
+
+// Store an uploaded file. Re-uploading the same file reopens the existing entry.
+export const saveSong = async (file, settings) => {
+    const songs = await run('songs', 'readonly', store => store.getAll());
+    const existing = songs.find(s => s.name === file.name && s.size === file.size);
+    if (existing) {
+        await updateSong(existing.id, { lastOpenedAt: Date.now() });
+        return { ...existing, lastOpenedAt: Date.now() };
+    }
+
+    const now = Date.now();
+    const song = {
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        blob: file,
+        addedAt: now,
+        lastOpenedAt: now,
+        settings,
+        regions: [],
+        analysis: null
+    };
+    const id = await run('songs', 'readwrite', store => store.add(song));
+    return { ...song, id };
+};
+
+export const updateSong = (id, patch) => patchRecord('songs', id, patch);
+
+export const deleteSong = async (id) => {
+    const takes = await listTakes(id);
+    await Promise.all(takes.map(t => deleteTake(t.id)));
+    return run('songs', 'readwrite', store => store.delete(id));
+};
+
+// --- Takes ---
+
+export const addTake = async (songId, take) => {
+    const record = { ...take, songId, createdAt: Date.now() };
+    const id = await run('takes', 'readwrite', store => store.add(record));
+    return { ...record, id };
+};
+
+// Oldest first
+export const listTakes = async (songId) => {
+    const takes = await run('takes', 'readonly', store => store.index('songId').getAll(songId));
+    return takes.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const deleteTake = (id) => run('takes', 'readwrite', store => store.delete(id));
+
+export const updateTake = (id, patch) => patchRecord('takes', id, patch);
@@ -0,0 +1,58 @@
+import { passesNoiseGate, median3 } from './pitch';
+import { createDetector } from './detectors';
+import { DEFAULT_MIC_PIPELINE } from './analysisPipeline';
+
+// Live Pitch Tracker — taps a mic stream with an AnalyserNode and runs the mic
+// pipeline's detector on every animation frame. Applies the same noise gate and
+// median smoothing as the offline take analysis (gap filling needs the future,
+// so it is left to the offline pass).
+//
+// onFrame({ time, freq, confidence }) is called for each voiced frame (time =
+// seconds since start) and with freq = null when the input drops out.
+export const createLivePitchTracker = (stream, { onFrame, pipeline = DEFAULT_MIC_PIPELINE } = {}) => {
+    const { detector } = pipeline;
+    const { windowSize } = detector;
+    const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    const source = audioCtx.createMediaStreamSource(stream);
+    const analyser = audioCtx.createAnalyser();
+    analyser.fftSize = windowSize;
+    source.connect(analyser); // Not connected to destination — no monitoring echo
+
+    const detectPitch = createDetector(detector, audioCtx.sampleRate);
+    const buffer = new Float32Array(windowSize);
+    const recent = []; // Last voiced raw frequencies for median smoothing
+    const startTime = audioCtx.currentTime;
+    let rafId = null;
+    let stopped = false;
+
+    const tick = () => {
+        if (stopped) return;
+        analyser.getFloatTimeDomainData(buffer);
+        const { freq, confidence } = detectPitch(buffer);
+        const time = audioCtx.currentTime - startTime;
+
+        if (passesNoiseGate(freq, pipeline.gate)) {
+            recent.push(freq);
+            if (recent.length > 3) recent.shift();
+            const smoothed = pipeline.medianFilter && recent.length === 3 ? median3(...recent) : freq;
+            onFrame && onFrame({ time, freq: smoothed, confidence });
+        } else {
+            recent.length = 0;
+            onFrame && onFrame({ time, freq: null, confidence: 0 });
+        }
+        rafId = requestAnimationFrame(tick);
+    };
+
+    // Mobile browsers may start the context suspended
+    if (audioCtx.state === 'suspended') audioCtx.resume().catch(() => { });
+    rafId = requestAnimationFrame(tick);
+
+    return {
+        stop: () => {
+            stopped = true;
+            if (rafId) cancelAnimationFrame(rafId);
+            try { source.disconnect(); } catch { /* already disconnected */ }
+            audioCtx.close().catch(() => { });
+        }
+    };
+};
@@ -0,0 +1,126 @@
+// MIDI Export — writes stable note events as a single-track Standard MIDI File
+// (format 0). Optionally adds pitch-bend from the raw pitch contour so meends,
+// slides and vibrato survive the trip into a DAW — including the glides between
+// stable notes, which are carried on the note being left.
+
+import { midiToFreq } from './notes';
+import { takePasses } from './takeTiming';
+
+const PPQ = 480;             // Ticks per quarter note
+const CHANNEL = 0;
+const VELOCITY = 90;
+const BEND_CENTER = 8192;
+const BEND_MIN_STEP = 64;    // Skip bend changes smaller than this (~1.5 cents at ±2 st)
+const REST_SILENCE = 0.15;   // Unvoiced stretch (s) between notes that counts as a rest, not a slide
+
+// Variable-length quantity used for delta times
+const varLen = (value) => {
+    const bytes = [value & 0x7F];
+    let v = value >> 7;
+    while (v > 0) {
+        bytes.unshift((v & 0x7F) | 0x80);
+        v >>= 7;
+    }
+    return bytes;
+};
+
+const uint32 = (n) => [(n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF];
+const uint16 = (n) => [(n >> 8) & 0xFF, n & 0xFF];
+const textBytes = (str) => Array.from(new TextEncoder().encode(str));
+
+const bendEvent = (value) => [0xE0 | CHANNEL, value & 0x7F, (value >> 7) & 0x7F];
+
+// Pitch-bend value for a frequency relative to the note being held
+const bendValue = (freq, midi, bendRange) => {
+    const cents = 1200 * Math.log2(freq / midiToFreq(midi));
+    const value = Math.round(BEND_CENTER + (cents / (bendRange * 100)) * BEND_CENTER);
+    return Math.max(0, Math.min(16383, value));
+};
+
+// Contour segments starting inside [from, to)
+const contourIn = (segments, from, to) => segments.filter(seg => seg.startTime >= from && seg.startTime < to);
+
+// True when the voice carries on (a meend or slide) from one note to the next
+const isVoicedGap = (segments, from, to) => {
+    let voicedUntil = from;
+    for (const seg of contourIn(segments, from, to)) {
+        if (seg.startTime - voicedUntil > REST_SILENCE) return false;
+        voicedUntil = Math.max(voicedUntil, seg.endTime);
+    }
+    return to - voicedUntil <= REST_SILENCE;
+};
+
+// Why a take can't be exported on the song timeline, or null when it can.
+// Each loop pass lands on the same song times, so the passes would overlap.
+export const takeMidiUnavailableReason = (take) => {
+    if (!take.segments?.length) return 'No pitch detected in this take';
+    if (takePasses(take, take.duration ?? 0).length > 1) return 'Sung over several loop passes — they would overlap on the song timeline';
+    return null;
+};
+
+// notes:    [{ startTime, endTime, midi }] in seconds
+// segments: raw [{ startTime, endTime, freq }] contour (only used with pitchBend)
+export const toMidiFile = (notes, { segments = [], pitchBend = false, bendRange = 2, tempo = 120, name = 'Melody' } = {}) => {
+    const toTicks = (t) => Math.max(0, Math.round(t * PPQ * tempo / 60));
+
+    // order breaks ties at the same tick: note-offs, then bends, then note-ons
+    const events = [];
+    const add = (tick, order, bytes) => events.push({ tick, order, bytes });
+
+    add(0, -1, [0xFF, 0x03, ...varLen(textBytes(name).length), ...textBytes(name)]);
+    add(0, -1, [0xFF, 0x51, 0x03, ...uint32(Math.round(60000000 / tempo)).slice(1)]);
+
+    if (pitchBend) {
+        // RPN 0 (pitch-bend sensitivity) = bendRange semitones, then null the RPN
+        const cc = (controller, value) => [0xB0 | CHANNEL, controller, value];
+        [cc(101, 0), cc(100, 0), cc(6, bendRange), cc(38, 0), cc(101, 127), cc(100, 127)]
+            .forEach(bytes => add(0, -1, bytes));
+    }
+
+    // With pitch-bend, a note whose voice slides on into the next keeps sounding
+    // through the gap, bent along the contour; the next note starts with its own
+    // bend pre-set. The bend only returns to centre at a real rest.
+    const contour = [...segments].sort((a, b) => a.startTime - b.startTime);
+    const sorted = [...notes].sort((a, b) => a.startTime - b.startTime);
+    let bendCentered = true;
+
+    sorted.forEach((note, i) => {
+        const next = sorted[i + 1];
+        const slidesOn = pitchBend && next && next.startTime >= note.endTime && isVoicedGap(contour, note.endTime, next.startTime);
+        const start = toTicks(note.startTime);
+        const end = Math.max(start + 1, toTicks(slidesOn ? next.startTime : note.endTime));
+
+        if (pitchBend) {
+            let last = null;
+            contourIn(contour, note.startTime, slidesOn ? next.startTime : note.endTime).forEach(seg => {
+                const value = bendValue(seg.freq, note.midi, bendRange);
+                if (last !== null && Math.abs(value - last) < BEND_MIN_STEP) return;
+                add(last === null ? start : Math.max(start, toTicks(seg.startTime)), 1, bendEvent(value));
+                last = value;
+            });
+            // No contour under this note: undo a bend carried over from the last slide
+            if (last === null && !bendCentered) add(start, 1, bendEvent(BEND_CENTER));
+            bendCentered = last === null || !slidesOn;
+            if (last !== null && !slidesOn) add(end, 1, bendEvent(BEND_CENTER));
+        }
+
+        add(start, 2, [0x90 | CHANNEL, note.midi, VELOCITY]);
+        add(end, 0, [0x80 | CHANNEL, note.midi, 0]);
+    });
+
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    const track = [];
+    let lastTick = 0;
+    events.forEach(({ tick, bytes }) => {
+        track.push(...varLen(tick - lastTick), ...bytes);
+        lastTick = tick;
+    });
+    track.push(0x00, 0xFF, 0x2F, 0x00); // End of track
+
+    const bytes = [
+        ...textBytes('MThd'), ...uint32(6), ...uint16(0), ...uint16(1), ...uint16(PPQ),
+        ...textBytes('MTrk'), ...uint32(track.length), ...track
+    ];
+    return new Blob([new Uint8Array(bytes)], { type: 'audio/midi' });
+};
@@ -0,0 +1,179 @@
+// MIDI Import — reads a Standard MIDI File (format 0 or 1) into per-track note
+// lists in seconds, so a known melody can stand in for the detected pitch.
+
+const DEFAULT_TEMPO = 500000; // µs per quarter note (120 bpm)
+
+const readString = (bytes, pos, length) => String.fromCharCode(...bytes.subarray(pos, pos + length));
+
+const readUint32 = (bytes, pos) => ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+const readUint16 = (bytes, pos) => (bytes[pos] << 8) | bytes[pos + 1];
+
+const readVarLen = (bytes, pos) => {
+    let value = 0;
+    let byte;
+    do {
+        byte = bytes[pos++];
+        value = (value << 7) | (byte & 0x7F);
+    } while (byte & 0x80);
+    return { value, pos };
+};
+
+// Raw events of one MTrk chunk with absolute ticks
+const parseTrack = (bytes, start, end) => {
+    const events = [];
+    let pos = start;
+    let tick = 0;
+    let runningStatus = null;
+
+    while (pos < end) {
+        const delta = readVarLen(bytes, pos);
+        tick += delta.value;
+        pos = delta.pos;
+
+        let status = bytes[pos];
+        if (status < 0x80) {
+            if (runningStatus === null) throw new Error('Corrupt MIDI track (data byte without status)');
+            status = runningStatus; // Running status — reuse the previous status byte
+        } else {
+            pos++;
+        }
+
+        if (status === 0xFF) {
+            const type = bytes[pos++];
+            const length = readVarLen(bytes, pos);
+            pos = length.pos;
+            events.push({ tick, meta: type, data: bytes.subarray(pos, pos + length.value) });
+            pos += length.value;
+            if (type === 0x2F) break; // End of track
+        } else if (status === 0xF0 || status === 0xF7) {
+            const length = readVarLen(bytes, pos); // SysEx — skipped
+            pos = length.pos + length.value;
+        } else {
+            runningStatus = status;
+            const type = status & 0xF0;
+            const channel = status & 0x0F;
+            const dataLength = type === 0xC0 || type === 0xD0 ? 1 : 2;
+            events.push({ tick, type, channel, data1: bytes[pos], data2: bytes[pos + 1] });
+            pos += dataLength;
+        }
+    }
+    return events;
+};
+
+// Tick -> seconds using every tempo change in the file
+const createTickToSeconds = (tempoChanges, division) => {
+    if (division & 0x8000) {
+        // SMPTE: -frames per second (high byte) × ticks per frame (low byte)
+        const fps = 256 - (division >> 8);
+        const ticksPerSecond = fps * (division & 0xFF);
+        return (tick) => tick / ticksPerSecond;
+    }
+
+    const changes = [...tempoChanges].sort((a, b) => a.tick - b.tick);
+    const segments = [];
+    let seconds = 0;
+    let lastTick = 0;
+    let tempo = DEFAULT_TEMPO;
+    changes.forEach(change => {
+        seconds += ((change.tick - lastTick) * tempo) / (division * 1e6);
+        segments.push({ tick: change.tick, seconds, tempo: change.tempo });
+        lastTick = change.tick;
+        tempo = change.tempo;
+    });
+
+    return (tick) => {
+        let base = { tick: 0, seconds: 0, tempo: DEFAULT_TEMPO };
+        for (const seg of segments) {
+            if (seg.tick > tick) break;
+            base = seg;
+        }
+        return base.seconds + ((tick - base.tick) * base.tempo) / (division * 1e6);
+    };
+};
+
+// ArrayBuffer -> { format, tracks: [{ index, name, channel, notes: [{ startTime, endTime, midi, velocity }] }] }
+// Only tracks that contain notes are returned. Channel 10 (drums) is skipped.
+export const parseMidiFile = (arrayBuffer) => {
+    const bytes = new Uint8Array(arrayBuffer);
+    if (readString(bytes, 0, 4) !== 'MThd') throw new Error('Not a MIDI file');
+
+    const headerLength = readUint32(bytes, 4);
+    const format = readUint16(bytes, 8);
+    const division = readUint16(bytes, 12);
+
+    const rawTracks = [];
+    let pos = 8 + headerLength;
+    while (pos + 8 <= bytes.length) {
+        const id = readString(bytes, pos, 4);
+        const length = readUint32(bytes, pos + 4);
+        if (id === 'MTrk') rawTracks.push(parseTrack(bytes, pos + 8, Math.min(bytes.length, pos + 8 + length)));
+        pos += 8 + length;
+    }
+
+    const tempoChanges = rawTracks.flat()
+        .filter(e => e.meta === 0x51 && e.data.length === 3)
+        .map(e => ({ tick: e.tick, tempo: (e.data[0] << 16) | (e.data[1] << 8) | e.data[2] }));
+    const toSeconds = createTickToSeconds(tempoChanges, division);
+
+    const tracks = [];
+    rawTracks.forEach((events, index) => {
+        const nameEvent = events.find(e => e.meta === 0x03);
+        const open = new Map(); // `${channel}:${midi}` -> note-on event
+        const notes = [];
+        const channels = new Set();
+
+        events.forEach(e => {
+            if (e.type !== 0x90 && e.type !== 0x80) return;
+            if (e.channel === 9) return;
+            const key = `${e.channel}:${e.data1}`;
+            if (e.type === 0x90 && e.data2 > 0) {
+                if (!open.has(key)) open.set(key, e);
+                return;
+            }
+            const on = open.get(key);
+            if (!on) return;
+            open.delete(key);
+            channels.add(e.channel);
+            notes.push({
+                startTime: toSeconds(on.tick),
+                endTime: toSeconds(e.tick),
+                midi: e.data1,
+                velocity: on.data2
+            });
+        });
+
+        if (!notes.length) return;
+        notes.sort((a, b) => a.startTime - b.startTime || b.midi - a.midi);
+        tracks.push({
+            index,
+            name: nameEvent ? new TextDecoder().decode(nameEvent.data).trim() : '',
+            channel: channels.size === 1 ? [...channels][0] + 1 : null,
+            notes
+        });
+    });
+
+    return { format, tracks };
+};
+
+// Reduce a (possibly chordal) track to one line — the highest note wins
+export const toMelodyLine = (notes) => {
+    const line = [];
+    notes.forEach(note => {
+        const prev = line[line.length - 1];
+        if (prev && note.startTime < prev.endTime) {
+            if (note.midi <= prev.midi) return;
+            prev.endTime = note.startTime; // Higher note cuts the held one short
+            if (prev.endTime - prev.startTime <= 0) line.pop();
+        }
+        line.push({ ...note });
+    });
+    return line;
+};
+
+// Align imported notes with the audio
+export const alignMelody = (notes, { offset = 0, transpose = 0 }) => notes.map(note => ({
+    ...note,
+    startTime: note.startTime + offset,
+    endTime: note.endTime + offset,
+    midi: note.midi + transpose
+}));
@@ -0,0 +1,237 @@
+// Notation Export — turns the song's stable notes into something a student can
+// read: plain-text sargam grouped by phrase, MusicXML for notation software,
+// and the phrase/label data behind the printable sheet.
+//
+// Sargam marks (text): mandra ".Pa", madhya "Pa", taar "Sa'"; komal swaras
+// are underlined and tivra Ma gets a vertical line above (combining marks).
+// Ornaments (meend, gamak, vibrato, kan) are listed under their phrase.
+
+import { NOTES, midiToNoteName } from './notes';
+import { findMadhyaSa, getSwara } from './swaras';
+import { getWesternName } from './westernNotes';
+import { getSaReference, classifyPitch } from './tuning';
+import { freqToMidi } from './stableNotes';
+import { ORNAMENT_TYPES } from './ornaments';
+import { formatTime } from './time';
+
+const PHRASE_GAP = 0.6; // Silence (s) that starts a new phrase
+const HOLD_UNIT = 0.5;  // Each extra HOLD_UNIT of a held note adds a "-"
+
+// Number of "-" hold marks written after a note
+export const countHolds = (note) => Math.max(0, Math.floor((note.endTime - note.startTime) / HOLD_UNIT) - 1);
+
+// Split notes wherever the gap between them exceeds `gap` seconds
+export const groupPhrases = (notes, gap = PHRASE_GAP) => {
+    const phrases = [];
+    let current = [];
+    notes.forEach(note => {
+        const prev = current[current.length - 1];
+        if (prev && note.startTime - prev.endTime > gap) {
+            phrases.push(current);
+            current = [];
+        }
+        current.push(note);
+    });
+    if (current.length) phrases.push(current);
+    return phrases.map(notesInPhrase => ({
+        startTime: notesInPhrase[0].startTime,
+        endTime: notesInPhrase[notesInPhrase.length - 1].endTime,
+        notes: notesInPhrase
+    }));
+};
+
+// Gives each phrase the ornaments that start between it and the next phrase
+export const attachOrnaments = (phrases, ornaments = []) => phrases.map((phrase, i) => {
+    const from = i === 0 ? -Infinity : phrase.startTime;
+    const to = i === phrases.length - 1 ? Infinity : phrases[i + 1].startTime;
+    return { ...phrase, ornaments: ornaments.filter(o => o.startTime >= from && o.startTime < to) };
+});
+
+// "Meend .Pa→Sa", "Kan Re→Ga", "Vibrato on Ga (6.1 Hz, 70¢)"
+export const formatOrnament = (ornament, label) => {
+    const name = (freq) => {
+        const midi = freqToMidi(freq);
+        return label({ midi, fullNote: midiToNoteName(midi), avgFreq: freq });
+    };
+    const { label: type } = ORNAMENT_TYPES[ornament.type];
+    if (ornament.rate) {
+        return `${type} on ${name(ornament.freq)} (${ornament.rate.toFixed(1)} Hz, ${Math.round(ornament.depth)}¢)`;
+    }
+    return `${type} ${name(ornament.fromFreq)}→${name(ornament.toFreq)}`;
+};
+
+// Plain-text form of a getSwara result (see the marks above)
+export const swaraToText = ({ text, komal, tivra, saptak }) => {
+    let chars = [...text];
+    if (komal) chars = chars.map(c => c + '\u0332');
+    if (tivra) chars[0] += '\u030D';
+    const marked = chars.join('');
+    if (saptak < 0) return '.'.repeat(-saptak) + marked;
+    if (saptak > 0) return marked + "'".repeat(saptak);
+    return marked;
+};
+
+// Returns note -> swara for the current display settings, or null with sargam off.
+// Each note is placed in the tuning system first, as the pitch-graph badges are.
+export const createSwaraNamer = (notes, { showSargam, rootKey, sargamScript, tuningSystem }) => {
+    const saReference = getSaReference(rootKey);
+    if (!showSargam || !saReference) return null;
+    const madhyaSa = findMadhyaSa(notes, rootKey);
+    return (note) => getSwara(classifyPitch(note.avgFreq, saReference, tuningSystem).midi, { madhyaSa, script: sargamScript });
+};
+
+// Returns note -> label for the current display settings (key-spelled
+// Western names with sargam off)
+export const createNoteLabeler = (notes, options) => {
+    const swaraOf = createSwaraNamer(notes, options);
+    if (!swaraOf) return (note) => getWesternName(note.midi, { mode: options.westernMode, rootKey: options.rootKey });
+    return (note) => swaraToText(swaraOf(note));
+};
+
+// One phrase per line, prefixed with its start time; its ornaments follow on a "~" line
+export const toSargamText = (notes, { showSargam, rootKey, sargamScript, westernMode, tuningSystem, title, ornaments }) => {
+    const label = createNoteLabeler(notes, { showSargam, rootKey, sargamScript, westernMode, tuningSystem });
+    const lines = attachOrnaments(groupPhrases(notes), ornaments).flatMap(phrase => {
+        const tokens = phrase.notes.map(note => [label(note), ...Array(countHolds(note)).fill('-')].join(' '));
+        const line = `[${formatTime(phrase.startTime)}] ${tokens.join('  ')}`;
+        if (!phrase.ornaments.length) return [line];
+        return [line, `        ~ ${phrase.ornaments.map(o => formatOrnament(o, label)).join(', ')}`];
+    });
+
+    const header = [
+        title || 'Untitled',
+        showSargam ? `Sa = ${rootKey}` : westernMode === 'movableDo' ? `Do = ${rootKey}` : 'Western note names',
+        showSargam ? "Octaves: .Pa = mandra, Pa = madhya, Sa' = taar. Komal swaras are underlined, tivra Ma is marked above." : null,
+        '"-" holds the previous note.',
+        ornaments?.length ? '"~" lines list the ornaments in the phrase above.' : null,
+        ''
+    ].filter(line => line !== null);
+    return [...header, ...lines, ''].join('\n');
+};
+
+// --- MusicXML ---
+
+const DIVISIONS = 4;            // Grid of sixteenth notes
+const MEASURE_UNITS = 4 * DIVISIONS; // 4/4
+
+// Durations (in sixteenths) that can be written as a single note
+const NOTE_TYPES = [
+    [16, 'whole', false],
+    [12, 'half', true],
+    [8, 'half', false],
+    [6, 'quarter', true],
+    [4, 'quarter', false],
+    [3, 'eighth', true],
+    [2, 'eighth', false],
+    [1, '16th', false]
+];
+
+const splitDuration = (units) => {
+    const parts = [];
+    let remaining = units;
+    while (remaining > 0) {
+        const [size, type, dotted] = NOTE_TYPES.find(([n]) => n <= remaining);
+        parts.push({ units: size, type, dotted });
+        remaining -= size;
+    }
+    return parts;
+};
+
+const escapeXml = (str) => String(str).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+const pitchXml = (midi) => {
+    const name = NOTES[midi % 12];
+    return [
+        '<pitch>',
+        `<step>${name[0]}</step>`,
+        name.length > 1 ? '<alter>1</alter>' : '',
+        `<octave>${Math.floor(midi / 12) - 1}</octave>`,
+        '</pitch>'
+    ].join('');
+};
+
+// Quantize note times onto the sixteenth grid at the given tempo
+const quantize = (notes, tempo) => {
+    const unitSeconds = 60 / tempo / DIVISIONS;
+    const events = [];
+    let cursor = 0;
+    notes.forEach(note => {
+        const start = Math.max(cursor, Math.round(note.startTime / unitSeconds));
+        const end = Math.max(start + 1, Math.round(note.endTime / unitSeconds));
+        if (start > cursor) events.push({ rest: true, start: cursor, units: start - cursor });
+        events.push({ note, start, units: end - start });
+        cursor = end;
+    });
+    return events;
+};
+
+// Cut events at barlines; pieces of a split note are tied
+const splitAtBarlines = (events) => {
+    const pieces = [];
+    events.forEach(event => {
+        let start = event.start;
+        let remaining = event.units;
+        let first = true;
+        while (remaining > 0) {
+            const room = MEASURE_UNITS - (start % MEASURE_UNITS);
+            const units = Math.min(room, remaining);
+            pieces.push({ ...event, start, units, first, last: units === remaining });
+            start += units;
+            remaining -= units;
+            first = false;
+        }
+    });
+    return pieces;
+};
+
+export const toMusicXML = (notes, { showSargam, rootKey, sargamScript, westernMode, tuningSystem, title, tempo = 60 }) => {
+    const label = createNoteLabeler(notes, { showSargam, rootKey, sargamScript, westernMode, tuningSystem });
+    const events = quantize(notes, tempo);
+    const totalUnits = events.reduce((end, e) => Math.max(end, e.start + e.units), 0);
+
+    // Pad the final measure with a rest so it adds up to 4/4
+    const leftover = totalUnits % MEASURE_UNITS;
+    if (leftover) events.push({ rest: true, start: totalUnits, units: MEASURE_UNITS - leftover });
+
+    const measures = Array.from({ length: Math.ceil(totalUnits / MEASURE_UNITS) }, () => []);
+    splitAtBarlines(events).forEach(piece => {
+        const measure = measures[Math.floor(piece.start / MEASURE_UNITS)];
+        splitDuration(piece.units).forEach((part, i, parts) => {
+            const tieStart = !piece.rest && (!piece.last || i < parts.length - 1);
+            const tieStop = !piece.rest && (!piece.first || i > 0);
+            const withLyric = !piece.rest && showSargam && piece.first && i === 0;
+            measure.push([
+                '<note>',
+                piece.rest ? '<rest/>' : pitchXml(piece.note.midi),
+                `<duration>${part.units}</duration>`,
+                tieStop ? '<tie type="stop"/>' : '',
+                tieStart ? '<tie type="start"/>' : '',
+                `<type>${part.type}</type>`,
+                part.dotted ? '<dot/>' : '',
+                (tieStart || tieStop) ? `<notations>${tieStop ? '<tied type="stop"/>' : ''}${tieStart ? '<tied type="start"/>' : ''}</notations>` : '',
+                withLyric ? `<lyric><syllabic>single</syllabic><text>${escapeXml(label(piece.note))}</text></lyric>` : '',
+                '</note>'
+            ].join(''));
+        });
+    });
+
+    const measureXml = measures.map((content, i) => {
+        const attributes = i === 0
+            ? `<attributes><divisions>${DIVISIONS}</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time><clef><sign>G</sign><line>2</line></clef></attributes>`
+              + `<direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${tempo}</per-minute></metronome></direction-type><sound tempo="${tempo}"/></direction>`
+            : '';
+        const body = content.length ? content.join('') : `<note><rest measure="yes"/><duration>${MEASURE_UNITS}</duration></note>`;
+        return `<measure number="${i + 1}">${attributes}${body}</measure>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+        '<score-partwise version="4.0">',
+        `<work><work-title>${escapeXml(title || 'Untitled')}</work-title></work>`,
+        '<part-list><score-part id="P1"><part-name>Voice</part-name></score-part></part-list>',
+        `<part id="P1">${measureXml.join('')}</part>`,
+        '</score-partwise>',
+        ''
+    ].join('\n');
+};
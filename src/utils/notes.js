@@ -0,0 +1,16 @@
+// Note Helpers — shared by the player, the note display and the drone
+export const NOTES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+export const SARGAM_MAPPING = ["Sa", "re", "Re", "ga", "Ga", "Ma", "MA", "Pa", "dha", "Dha", "ni", "Ni"];
+
+// MIDI note number -> "C4" (middle C = 60)
+export const midiToNoteName = (midi) => `${NOTES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+
+// Equal-tempered frequency of a MIDI note number
+export const midiToFreq = (midi) => 440 * Math.pow(2, (midi - 69) / 12);
+
+// Frequency of Sa for a key ("C#") in a given octave (C4 = middle C)
+export const getSaFrequency = (rootKey, octave) => {
+    const index = NOTES.indexOf(rootKey);
+    if (index === -1) return null;
+    return midiToFreq((octave + 1) * 12 + index);
+};
@@ -0,0 +1,225 @@
+// Ornament Detection — finds the movements the stable-note pass throws away:
+//
+//   meend   — a slow, continuous glide between swaras
+//   gamak   — a wide, forceful oscillation (spans neighbouring swaras)
+//   vibrato — a narrow, regular oscillation around one swara
+//   kan     — a grace note: a brief touch of another swara just before a held one
+//
+// Works on raw pitch segments ([{ startTime, endTime, freq }]) from the song or
+// a take. Returns [{ type, startTime, endTime, fromFreq, toFreq, freq, ... }]
+// sorted by time; oscillations add rate (Hz) and depth (cents, peak to peak).
+
+export const ORNAMENT_TYPES = {
+    meend: { label: 'Meend', description: 'Glide', color: '#22D3EE' },
+    gamak: { label: 'Gamak', description: 'Wide oscillation', color: '#E879F9' },
+    vibrato: { label: 'Vibrato', description: 'Narrow oscillation', color: '#A78BFA' },
+    kan: { label: 'Kan', description: 'Grace note', color: '#FDE047' }
+};
+
+const RUN_GAP = 0.06;        // s — a longer gap splits the line into separate runs
+const SWING = 30;            // cents — smallest movement counted as a turn
+const HALF_PERIOD = [0.04, 0.35]; // s — between turns of an oscillation (≈1.4–12 Hz)
+const MIN_TURNS = 4;         // Turns in a row (two full cycles) for an oscillation
+const MAX_IRREGULARITY = 0.4; // Spread of half periods (std / mean) — noise is irregular
+const GAMAK_DEPTH = 250;     // cents peak to peak — wider than this is gamak
+const GLIDE_SLOPE = 250;     // cents/s — slower movement isn't a glide
+const MEEND_SPAN = 150;      // cents — smallest interval a meend covers
+const MEEND_DURATION = 0.1;  // s — faster moves are plain note changes
+const KAN_DURATION = [0.02, 0.15]; // s
+const KAN_MAIN_DURATION = 0.2;     // s — the note the kan leads into
+
+const toCents = (freq) => 1200 * Math.log2(freq / 440);
+const toFreq = (cents) => 440 * Math.pow(2, cents / 1200);
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Continuous voiced stretches as [{ t, c }] in cents, lightly smoothed
+const splitRuns = (segments) => {
+    const runs = [];
+    let run = [];
+    segments.forEach((seg, i) => {
+        if (i > 0 && seg.startTime - segments[i - 1].endTime > RUN_GAP) {
+            if (run.length) runs.push(run);
+            run = [];
+        }
+        run.push({ t: (seg.startTime + seg.endTime) / 2, c: toCents(seg.freq) });
+    });
+    if (run.length) runs.push(run);
+
+    return runs.map(points => points.map((p, i) => {
+        const prev = points[Math.max(0, i - 1)].c;
+        const next = points[Math.min(points.length - 1, i + 1)].c;
+        return { t: p.t, c: (prev + p.c + next) / 3 };
+    }));
+};
+
+// Local extremes that are at least SWING away from the previous one
+const findTurns = (points) => {
+    const turns = [];
+    // Until the first turn the direction is unknown, so follow both extremes
+    let high = points[0];
+    let low = points[0];
+    let direction = 0; // +1 rising, -1 falling
+    for (let i = 1; i < points.length; i++) {
+        const p = points[i];
+        if (direction >= 0 && p.c > high.c) high = p;
+        if (direction <= 0 && p.c < low.c) low = p;
+
+        if (direction >= 0 && high.c - p.c >= SWING) {
+            turns.push(high);
+            direction = -1;
+            low = p;
+        } else if (direction <= 0 && p.c - low.c >= SWING) {
+            turns.push(low);
+            direction = 1;
+            high = p;
+        }
+    }
+    return turns;
+};
+
+const findOscillations = (points) => {
+    const turns = findTurns(points);
+    const found = [];
+    let start = 0;
+    const close = (end) => {
+        if (end - start < MIN_TURNS) return;
+        const span = turns.slice(start, end + 1);
+        const halves = span.slice(1).map((t, i) => t.t - span[i].t);
+        const mean = halves.reduce((sum, h) => sum + h, 0) / halves.length;
+        const spread = Math.sqrt(halves.reduce((sum, h) => sum + (h - mean) ** 2, 0) / halves.length);
+        if (spread / mean > MAX_IRREGULARITY) return;
+        const swings = span.slice(1).map((t, i) => Math.abs(t.c - span[i].c));
+        const duration = span[span.length - 1].t - span[0].t;
+        const depth = median(swings);
+        const centre = span.reduce((sum, t) => sum + t.c, 0) / span.length;
+        found.push({
+            type: depth > GAMAK_DEPTH ? 'gamak' : 'vibrato',
+            startTime: span[0].t,
+            endTime: span[span.length - 1].t,
+            fromFreq: toFreq(span[0].c),
+            toFreq: toFreq(span[span.length - 1].c),
+            freq: toFreq(centre),
+            rate: (span.length - 1) / 2 / duration,
+            depth
+        });
+    };
+
+    for (let i = 1; i < turns.length; i++) {
+        const gap = turns[i].t - turns[i - 1].t;
+        if (gap < HALF_PERIOD[0] || gap > HALF_PERIOD[1]) {
+            close(i - 1);
+            start = i;
+        }
+    }
+    close(turns.length - 1);
+    return found;
+};
+
+// Stretches where the pitch keeps moving the same way fast enough
+const findGlides = (points) => {
+    const found = [];
+    let start = null;
+    let sign = 0;
+    const close = (end) => {
+        if (start === null) return;
+        const a = points[start];
+        const b = points[end];
+        if (b.t - a.t >= MEEND_DURATION && Math.abs(b.c - a.c) >= MEEND_SPAN) {
+            found.push({
+                type: 'meend',
+                startTime: a.t,
+                endTime: b.t,
+                fromFreq: toFreq(a.c),
+                toFreq: toFreq(b.c),
+                freq: toFreq((a.c + b.c) / 2),
+                span: b.c - a.c
+            });
+        }
+        start = null;
+    };
+
+    for (let i = 1; i < points.length; i++) {
+        const slope = (points[i].c - points[i - 1].c) / (points[i].t - points[i - 1].t);
+        const s = Math.abs(slope) >= GLIDE_SLOPE ? Math.sign(slope) : 0;
+        if (s !== 0 && s === sign) continue;
+        close(i - 1);
+        if (s !== 0) start = i - 1;
+        sign = s;
+    }
+    close(points.length - 1);
+    return found;
+};
+
+// Short semitone runs leading straight into a held note
+const findKans = (points) => {
+    const notes = [];
+    points.forEach(p => {
+        const semitone = Math.round(p.c / 100);
+        const last = notes[notes.length - 1];
+        if (last && last.semitone === semitone) {
+            last.end = p.t;
+            last.sum += p.c;
+            last.count++;
+        } else {
+            notes.push({ semitone, start: p.t, end: p.t, sum: p.c, count: 1 });
+        }
+    });
+
+    const found = [];
+    const length = (note) => note.end - note.start;
+    for (let i = 0; i < notes.length - 1; i++) {
+        const grace = notes[i];
+        const duration = length(grace);
+        if (duration < KAN_DURATION[0] || duration > KAN_DURATION[1]) continue;
+        // Step over the in-between points of the transition itself
+        let j = i + 1;
+        while (j < notes.length - 1 && length(notes[j]) < KAN_DURATION[0]) j++;
+        const main = notes[j];
+        if (main.semitone === grace.semitone || length(main) < KAN_MAIN_DURATION) continue;
+        if (main.start - grace.end > RUN_GAP) continue;
+        found.push({
+            type: 'kan',
+            startTime: grace.start,
+            endTime: main.start,
+            fromFreq: toFreq(grace.sum / grace.count),
+            toFreq: toFreq(main.sum / main.count),
+            freq: toFreq(grace.sum / grace.count)
+        });
+    }
+    return found;
+};
+
+const overlaps = (a, b) => a.startTime < b.endTime && b.startTime < a.endTime;
+
+export const detectOrnaments = (segments) => {
+    if (!segments || segments.length < 3) return [];
+    const ornaments = [];
+
+    splitRuns(segments).forEach(points => {
+        if (points.length < 3) return;
+        // Oscillations win over the glides and grace notes inside them
+        const oscillations = findOscillations(points);
+        const glides = findGlides(points).filter(g => !oscillations.some(o => overlaps(o, g)));
+        const kans = findKans(points).filter(k => ![...oscillations, ...glides].some(o => overlaps(o, k)));
+        ornaments.push(...oscillations, ...glides, ...kans);
+    });
+
+    return ornaments.sort((a, b) => a.startTime - b.startTime);
+};
+
+// One-line description for tooltips and the notation list
+export const describeOrnament = (ornament) => {
+    const { label } = ORNAMENT_TYPES[ornament.type];
+    const duration = `${Math.round((ornament.endTime - ornament.startTime) * 1000)} ms`;
+    if (ornament.type === 'gamak' || ornament.type === 'vibrato') {
+        return `${label} · ${ornament.rate.toFixed(1)} Hz · ${Math.round(ornament.depth)}¢ deep · ${duration}`;
+    }
+    if (ornament.type === 'meend') {
+        const semitones = ornament.span / 100;
+        return `${label} · ${semitones > 0 ? 'up' : 'down'} ${Math.abs(semitones).toFixed(1)} semitones · ${duration}`;
+    }
+    return `${label} · grace note ${duration} before the main note`;
+};
@@ -0,0 +1,115 @@
+// Phrase Segmentation — splits the song into sung lines at the silences in the
+// pitch line. With an energy envelope it also splits at quiet breaths the
+// pitch detector voiced through (reverb tails, breathy onsets). Drives the
+// phrase strip under the waveform and phrase-by-phrase loops.
+
+const MIN_GAP = 0.3;       // s of silence that ends a phrase
+const MIN_PHRASE = 0.8;    // s — shorter pieces join their nearest neighbour
+const MAX_JOIN_GAP = 1.0;  // s — ...if it is this close
+const MIN_BLIP = 0.25;     // s — isolated pieces shorter than this are noise
+const ENERGY_WINDOW = 0.02; // s per envelope value
+const QUIET_DROP = 30;     // dB below the song's loud level counts as quiet
+export const PHRASE_PAD = 0.15; // s added before/after a phrase loop
+
+// RMS level (dB) of the decoded audio in ENERGY_WINDOW steps: { values, hop }
+export const computeEnergyEnvelope = (buffer, windowSeconds = ENERGY_WINDOW) => {
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+    const size = Math.max(1, Math.round(buffer.sampleRate * windowSeconds));
+    const values = new Float32Array(Math.ceil(buffer.length / size));
+
+    for (let w = 0; w < values.length; w++) {
+        const start = w * size;
+        const end = Math.min(buffer.length, start + size);
+        let sum = 0;
+        for (let i = start; i < end; i++) {
+            let sample = 0;
+            for (const data of channels) sample += data[i];
+            sample /= channels.length;
+            sum += sample * sample;
+        }
+        values[w] = 10 * Math.log10(sum / (end - start) + 1e-12);
+    }
+    return { values, hop: size / buffer.sampleRate };
+};
+
+// Stretches of at least minGap where the envelope sits QUIET_DROP below its loud level
+const findQuietSpans = ({ values, hop }, minGap) => {
+    const sorted = Float32Array.from(values).sort();
+    const loud = sorted[Math.floor(sorted.length * 0.9)];
+    const spans = [];
+    let start = null;
+    for (let w = 0; w <= values.length; w++) {
+        const quiet = w < values.length && values[w] < loud - QUIET_DROP;
+        if (quiet && start === null) start = w;
+        if (!quiet && start !== null) {
+            if ((w - start) * hop >= minGap) spans.push({ startTime: start * hop, endTime: w * hop });
+            start = null;
+        }
+    }
+    return spans;
+};
+
+// Cut a piece around the quiet spans inside it
+const splitAtQuiet = (piece, quietSpans) => {
+    const pieces = [];
+    let start = piece.startTime;
+    quietSpans.forEach(q => {
+        if (q.endTime <= start || q.startTime >= piece.endTime) return;
+        if (q.startTime > start) pieces.push({ startTime: start, endTime: q.startTime });
+        start = q.endTime;
+    });
+    if (start < piece.endTime) pieces.push({ startTime: start, endTime: piece.endTime });
+    return pieces;
+};
+
+// Fold pieces shorter than MIN_PHRASE into whichever neighbour is closer
+const joinShortPieces = (pieces) => {
+    const result = [...pieces];
+    let i = 0;
+    while (i < result.length) {
+        const piece = result[i];
+        if (piece.endTime - piece.startTime >= MIN_PHRASE || result.length === 1) {
+            i++;
+            continue;
+        }
+        const gapBefore = i > 0 ? piece.startTime - result[i - 1].endTime : Infinity;
+        const gapAfter = i < result.length - 1 ? result[i + 1].startTime - piece.endTime : Infinity;
+        if (Math.min(gapBefore, gapAfter) > MAX_JOIN_GAP) {
+            // A lone piece: keep it if it's long enough to be sung
+            if (piece.endTime - piece.startTime < MIN_BLIP) result.splice(i, 1);
+            else i++;
+        } else if (gapBefore <= gapAfter) {
+            result[i - 1] = { ...result[i - 1], endTime: piece.endTime };
+            result.splice(i, 1);
+        } else {
+            result[i + 1] = { ...result[i + 1], startTime: piece.startTime };
+            result.splice(i, 1);
+        }
+    }
+    return result;
+};
+
+// [{ startTime, endTime, freq }] -> [{ startTime, endTime }]
+export const segmentPhrases = (segments, { energy, minGap = MIN_GAP } = {}) => {
+    if (!segments || segments.length === 0) return [];
+
+    const voiced = [];
+    segments.forEach(seg => {
+        const last = voiced[voiced.length - 1];
+        if (last && seg.startTime - last.endTime < minGap) last.endTime = Math.max(last.endTime, seg.endTime);
+        else voiced.push({ startTime: seg.startTime, endTime: seg.endTime });
+    });
+
+    const quietSpans = energy ? findQuietSpans(energy, minGap) : [];
+    const pieces = quietSpans.length ? voiced.flatMap(piece => splitAtQuiet(piece, quietSpans)) : voiced;
+    return joinShortPieces(pieces);
+};
+
+// Index of the phrase playing at `time`. Between phrases it is fractional
+// (i - 0.5 before phrase i), so floor(pos + 1) / ceil(pos - 1) land on the
+// next / previous phrase either way.
+export const phrasePosition = (phrases, time) => {
+    const i = phrases.findIndex(p => time < p.endTime);
+    if (i === -1) return phrases.length - 0.5;
+    return time >= phrases[i].startTime ? i : i - 0.5;
+};
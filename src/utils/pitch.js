@@ -0,0 +1,17 @@
+// Shared mic pitch helpers — used by the offline take analysis and the
+// live tracker so both produce the same orange line.
+
+// YIN settings for mic input (slightly more lenient than file analysis)
+export const MIC_YIN_OPTIONS = {
+    threshold: 0.15,
+    probabilityThreshold: 0.05
+};
+
+// Noise gate: anything outside the human singing range is treated as unvoiced
+export const MIC_NOISE_GATE = { minFreq: 50, maxFreq: 1200 };
+
+export const passesNoiseGate = (freq, gate = MIC_NOISE_GATE) =>
+    !!freq && freq > gate.minFreq && freq < gate.maxFreq;
+
+// 3-point median — removes single-frame spike outliers
+export const median3 = (prev, curr, next) => [prev, curr, next].sort((a, b) => a - b)[1];
@@ -0,0 +1,103 @@
+// Offline Pitch Analysis — runs an analysis pipeline (see analysisPipeline.js)
+// over a whole decoded buffer. Runs inside the analysis worker (see
+// pitchAnalysisClient.js) so long songs don't block the UI. Segments carry the
+// detector's per-frame confidence.
+
+import { passesNoiseGate, median3 } from './pitch';
+import { createDetector } from './detectors';
+import { DEFAULT_SONG_PIPELINE } from './analysisPipeline';
+
+const CHUNK_FRAMES = 200; // Frames between progress/partial reports
+
+// 1. NORMALIZE: mic recordings are much quieter than files (in place)
+const normalizePeak = (samples) => {
+    let maxAmp = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const abs = Math.abs(samples[i]);
+        if (abs > maxAmp) maxAmp = abs;
+    }
+
+    if (maxAmp > 0.001) {
+        const gain = 0.9 / maxAmp; // Normalize to 90% peak
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] *= gain;
+        }
+    }
+};
+
+// 4. MEDIAN FILTER — remove spike outliers
+const medianFilter = (segments) => segments.map((seg, i) => {
+    const prev = i > 0 ? segments[i - 1].freq : seg.freq;
+    const next = i < segments.length - 1 ? segments[i + 1].freq : seg.freq;
+    return { ...seg, freq: median3(prev, seg.freq, next) };
+});
+
+// 5. FILL GAPS up to maxGap seconds with interpolation (as confident as the weaker neighbour)
+const fillGaps = (segments, maxGap, timePerHop) => {
+    const filled = [];
+    for (let i = 0; i < segments.length; i++) {
+        filled.push(segments[i]);
+
+        if (i < segments.length - 1) {
+            const gap = segments[i + 1].startTime - segments[i].endTime;
+            if (gap > 0 && gap < maxGap) {
+                const steps = Math.max(1, Math.round(gap / timePerHop));
+                for (let s = 1; s <= steps; s++) {
+                    const t = s / (steps + 1);
+                    filled.push({
+                        startTime: segments[i].endTime + (s - 1) * timePerHop,
+                        endTime: segments[i].endTime + s * timePerHop,
+                        freq: segments[i].freq * (1 - t) + segments[i + 1].freq * t,
+                        confidence: Math.min(segments[i].confidence, segments[i + 1].confidence)
+                    });
+                }
+            }
+        }
+    }
+    return filled;
+};
+
+// Returns { pitches, segments }: pitches holds the raw detected frequency per
+// frame (null = unvoiced), segments the finished pitch line.
+// onChunk(rawSegments, progress) streams gated, unsmoothed segments as they are found.
+// Note: samples are normalized in place.
+export const analyzeSamples = (samples, sampleRate, { pipeline = DEFAULT_SONG_PIPELINE, onChunk } = {}) => {
+    if (pipeline.normalize) normalizePeak(samples);
+
+    // 2. DETECT PITCH
+    const { detector } = pipeline;
+    const detectPitch = createDetector(detector, sampleRate);
+    const { windowSize, hopSize } = detector;
+    const timePerHop = hopSize / sampleRate;
+    const totalFrames = Math.max(1, Math.floor((samples.length - windowSize) / hopSize) + 1);
+
+    const pitches = [];
+    let segments = [];
+    let reported = 0;
+
+    for (let frame = 0; frame < totalFrames; frame++) {
+        const i = frame * hopSize;
+        const { freq, confidence } = detectPitch(samples.subarray(i, i + windowSize));
+        pitches.push(freq);
+
+        // 3. NOISE GATE
+        if (passesNoiseGate(freq, pipeline.gate)) {
+            segments.push({
+                startTime: frame * timePerHop,
+                endTime: (frame + 1) * timePerHop,
+                freq,
+                confidence
+            });
+        }
+
+        if (onChunk && ((frame + 1) % CHUNK_FRAMES === 0 || frame === totalFrames - 1)) {
+            onChunk(segments.slice(reported), (frame + 1) / totalFrames);
+            reported = segments.length;
+        }
+    }
+
+    if (pipeline.medianFilter) segments = medianFilter(segments);
+    if (pipeline.fillGaps > 0) segments = fillGaps(segments, pipeline.fillGaps, timePerHop);
+
+    return { pitches, segments };
+};
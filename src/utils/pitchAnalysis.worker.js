@@ -0,0 +1,17 @@
+// Pitch analysis worker — receives one channel of samples, streams progress
+// and partial (unsmoothed) segments back, then posts the final result.
+
+import { analyzeSamples } from './pitchAnalysis';
+
+self.onmessage = ({ data }) => {
+    const { samples, sampleRate, pipeline } = data;
+    try {
+        const result = analyzeSamples(samples, sampleRate, {
+            pipeline,
+            onChunk: (segments, progress) => self.postMessage({ type: 'partial', segments, progress })
+        });
+        self.postMessage({ type: 'done', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -0,0 +1,59 @@
+// Runs offline pitch analysis in a Web Worker (one worker per job).
+//
+//   const job = runPitchAnalysis(audioBuffer, { pipeline, onPartial, onProgress });
+//   job.promise -> { pitches, segments }
+//   job.cancel() -> stops the worker; the promise rejects with an AbortError
+
+import PitchAnalysisWorker from './pitchAnalysis.worker.js?worker';
+
+const abortError = () => {
+    const err = new Error('Pitch analysis cancelled');
+    err.name = 'AbortError';
+    return err;
+};
+
+export const runPitchAnalysis = (buffer, { pipeline, onPartial, onProgress } = {}) => {
+    const worker = new PitchAnalysisWorker();
+    let settled = false;
+    let rejectJob;
+
+    const finish = () => {
+        settled = true;
+        worker.terminate();
+    };
+
+    const promise = new Promise((resolve, reject) => {
+        rejectJob = reject;
+        worker.onmessage = ({ data }) => {
+            if (settled) return;
+            if (data.type === 'partial') {
+                if (onPartial && data.segments.length) onPartial(data.segments);
+                onProgress && onProgress(data.progress);
+            } else if (data.type === 'done') {
+                finish();
+                resolve(data.result);
+            } else if (data.type === 'error') {
+                finish();
+                reject(new Error(data.message));
+            }
+        };
+        worker.onerror = (e) => {
+            if (settled) return;
+            finish();
+            reject(new Error(e.message || 'Pitch analysis worker failed'));
+        };
+    });
+
+    // Copy the channel so the decoded buffer stays intact, then hand it over
+    const samples = buffer.getChannelData(0).slice();
+    worker.postMessage({ samples, sampleRate: buffer.sampleRate, pipeline }, [samples.buffer]);
+
+    return {
+        promise,
+        cancel: () => {
+            if (settled) return;
+            finish();
+            rejectJob(abortError());
+        }
+    };
+};
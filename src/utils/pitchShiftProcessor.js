@@ -0,0 +1,77 @@
+// Pitch Shift Worklet — delay-line granular shifter.
+// Two read heads sweep through a short delay line half a grain apart and are
+// crossfaded with sin² windows (which sum to 1), so pitch changes while the
+// tempo of the input is untouched. Runs on the audio thread.
+
+const GRAIN_SECONDS = 0.06;
+
+class PitchShiftProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+    }
+
+    constructor() {
+        super();
+        this.grain = Math.round(GRAIN_SECONDS * sampleRate);
+        this.size = this.grain * 2;
+        this.buffers = [];
+        this.writeIndex = 0;
+        this.phase = 0;
+    }
+
+    readAt(buffer, delay) {
+        let pos = this.writeIndex - delay;
+        while (pos < 0) pos += this.size;
+        const i = Math.floor(pos);
+        const frac = pos - i;
+        const a = buffer[i % this.size];
+        const b = buffer[(i + 1) % this.size];
+        return a + (b - a) * frac;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const ratio = parameters.pitchRatio[0];
+        if (!input || input.length === 0) return true;
+
+        // Unshifted: pass straight through (avoids comb filtering from the two heads)
+        if (Math.abs(ratio - 1) < 1e-4) {
+            for (let ch = 0; ch < output.length; ch++) output[ch].set(input[ch] || input[0]);
+            return true;
+        }
+
+        while (this.buffers.length < input.length) this.buffers.push(new Float32Array(this.size));
+
+        const frames = input[0].length;
+        const step = (1 - ratio) / this.grain;
+        const startWrite = this.writeIndex;
+        const startPhase = this.phase;
+
+        for (let ch = 0; ch < output.length; ch++) {
+            const inData = input[ch] || input[0];
+            const outData = output[ch];
+            const buffer = this.buffers[ch] || this.buffers[0];
+            this.writeIndex = startWrite;
+            this.phase = startPhase;
+
+            for (let n = 0; n < frames; n++) {
+                buffer[this.writeIndex] = inData[n];
+
+                this.phase += step;
+                this.phase -= Math.floor(this.phase); // wrap into [0, 1)
+                const phase2 = (this.phase + 0.5) % 1;
+
+                const g1 = Math.sin(Math.PI * this.phase) ** 2;
+                const g2 = Math.sin(Math.PI * phase2) ** 2;
+                outData[n] = g1 * this.readAt(buffer, this.phase * this.grain + 1)
+                    + g2 * this.readAt(buffer, phase2 * this.grain + 1);
+
+                this.writeIndex = (this.writeIndex + 1) % this.size;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('pitch-shift-processor', PitchShiftProcessor);
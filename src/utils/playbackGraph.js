@@ -0,0 +1,131 @@
+import pitchShiftProcessorUrl from './pitchShiftProcessor.js?worker&url';
+
+// Playback Graph — routes WaveSurfer's media element through Web Audio so
+// effects can be applied to what the user hears. The decoded buffer used for
+// pitch analysis is never touched.
+//
+// media -> karaoke (dry | mid/side vocal reduction) -> [pitch shift worklet] -> destination
+//
+// Built lazily (first time an effect is enabled) because a media element can
+// only ever be captured once, and capturing it requires a running AudioContext.
+
+export const semitonesToRatio = (semitones, cents = 0) => Math.pow(2, (semitones * 100 + cents) / 1200);
+
+// Lead vocals are usually panned centre and sit roughly in this band
+const VOCAL_BAND = { low: 150, high: 5000 };
+
+const gainNode = (ctx, value) => {
+    const g = ctx.createGain();
+    g.gain.value = value;
+    return g;
+};
+
+const filterNode = (ctx, type, frequency) => {
+    const f = ctx.createBiquadFilter();
+    f.type = type;
+    f.frequency.value = frequency;
+    return f;
+};
+
+// Karaoke: split into mid (L+R) and side (L-R), pull the vocal band out of the
+// mid channel, then rebuild L/R. Bass and cymbals in the centre survive.
+const createKaraoke = (ctx) => {
+    const input = ctx.createGain();
+    const output = ctx.createGain();
+    const dry = gainNode(ctx, 1);
+    const wet = gainNode(ctx, 0);
+    input.connect(dry).connect(output);
+
+    const splitter = ctx.createChannelSplitter(2);
+    const mid = ctx.createGain();
+    const side = ctx.createGain();
+    input.connect(splitter);
+    splitter.connect(gainNode(ctx, 0.5), 0).connect(mid);
+    splitter.connect(gainNode(ctx, 0.5), 1).connect(mid);
+    splitter.connect(gainNode(ctx, 0.5), 0).connect(side);
+    splitter.connect(gainNode(ctx, -0.5), 1).connect(side);
+
+    // mid' = low + high + (1 - strength) * vocal band
+    const newMid = ctx.createGain();
+    const vocalBand = gainNode(ctx, 1);
+    mid.connect(filterNode(ctx, 'lowpass', VOCAL_BAND.low)).connect(newMid);
+    mid.connect(filterNode(ctx, 'highpass', VOCAL_BAND.high)).connect(newMid);
+    mid.connect(filterNode(ctx, 'highpass', VOCAL_BAND.low))
+        .connect(filterNode(ctx, 'lowpass', VOCAL_BAND.high))
+        .connect(vocalBand)
+        .connect(newMid);
+
+    // L = mid' + side, R = mid' - side
+    const merger = ctx.createChannelMerger(2);
+    const left = ctx.createGain();
+    const right = ctx.createGain();
+    newMid.connect(left);
+    newMid.connect(right);
+    side.connect(left);
+    side.connect(gainNode(ctx, -1)).connect(right);
+    left.connect(merger, 0, 0);
+    right.connect(merger, 0, 1);
+    merger.connect(wet).connect(output);
+
+    return {
+        input,
+        output,
+        set: ({ enabled, strength }) => {
+            const t = ctx.currentTime;
+            dry.gain.setTargetAtTime(enabled ? 0 : 1, t, 0.02);
+            wet.gain.setTargetAtTime(enabled ? 1 : 0, t, 0.02);
+            vocalBand.gain.setTargetAtTime(1 - strength, t, 0.02);
+        }
+    };
+};
+
+export const createPlaybackGraph = (mediaElement) => {
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    const source = ctx.createMediaElementSource(mediaElement);
+    const output = ctx.createGain();
+    output.connect(ctx.destination);
+
+    const karaoke = createKaraoke(ctx);
+    source.connect(karaoke.input);
+
+    // Until the worklet loads, audio passes straight through
+    karaoke.output.connect(output);
+
+    let shifter = null;
+    let pendingRatio = 1;
+
+    const ready = ctx.audioWorklet
+        ? ctx.audioWorklet.addModule(pitchShiftProcessorUrl)
+            .then(() => {
+                shifter = new AudioWorkletNode(ctx, 'pitch-shift-processor', {
+                    outputChannelCount: [2]
+                });
+                shifter.parameters.get('pitchRatio').value = pendingRatio;
+                karaoke.output.disconnect();
+                karaoke.output.connect(shifter);
+                shifter.connect(output);
+            })
+            .catch(err => console.warn('Pitch shift unavailable:', err))
+        : Promise.resolve();
+
+    // The element keeps playing through the graph only while the context runs
+    const resume = () => {
+        if (ctx.state === 'suspended') ctx.resume().catch(() => { });
+    };
+    mediaElement.addEventListener('play', resume);
+    resume();
+
+    return {
+        ready,
+        setPitchRatio: (ratio) => {
+            pendingRatio = ratio;
+            if (shifter) shifter.parameters.get('pitchRatio').setValueAtTime(ratio, ctx.currentTime);
+        },
+        setKaraoke: karaoke.set,
+        destroy: () => {
+            mediaElement.removeEventListener('play', resume);
+            try { source.disconnect(); } catch { /* already disconnected */ }
+            ctx.close().catch(() => { });
+        }
+    };
+};
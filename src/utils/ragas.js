@@ -0,0 +1,119 @@
+// Ragas — the swaras each raga allows, plus its aaroh/avaroh for reference.
+//
+// Swaras are semitones above Sa (0 = Sa, 1 = komal Re, 6 = tivra Ma, ...).
+// Aaroh/avaroh are semitone offsets from madhya Sa: negative = mandra saptak,
+// 12 and above = taar saptak.
+
+import { NOTES } from './notes';
+
+export const RAGAS = {
+    bilawal: {
+        name: 'Bilawal',
+        swaras: [0, 2, 4, 5, 7, 9, 11],
+        aaroh: [0, 2, 4, 5, 7, 9, 11, 12],
+        avaroh: [12, 11, 9, 7, 5, 4, 2, 0]
+    },
+    yaman: {
+        name: 'Yaman',
+        swaras: [0, 2, 4, 6, 7, 9, 11],
+        aaroh: [-1, 2, 4, 6, 9, 11, 12],
+        avaroh: [12, 11, 9, 7, 6, 4, 2, 0]
+    },
+    bhupali: {
+        name: 'Bhupali',
+        swaras: [0, 2, 4, 7, 9],
+        aaroh: [0, 2, 4, 7, 9, 12],
+        avaroh: [12, 9, 7, 4, 2, 0]
+    },
+    durga: {
+        name: 'Durga',
+        swaras: [0, 2, 5, 7, 9],
+        aaroh: [0, 2, 5, 7, 9, 12],
+        avaroh: [12, 9, 7, 5, 2, 0]
+    },
+    khamaj: {
+        name: 'Khamaj',
+        swaras: [0, 2, 4, 5, 7, 9, 10, 11],
+        aaroh: [0, 4, 5, 7, 9, 11, 12],
+        avaroh: [12, 10, 9, 7, 5, 4, 2, 0]
+    },
+    desh: {
+        name: 'Desh',
+        swaras: [0, 2, 4, 5, 7, 9, 10, 11],
+        aaroh: [0, 2, 5, 7, 11, 12],
+        avaroh: [12, 10, 9, 7, 5, 4, 2, 0]
+    },
+    kafi: {
+        name: 'Kafi',
+        swaras: [0, 2, 3, 5, 7, 9, 10],
+        aaroh: [0, 2, 3, 5, 7, 9, 10, 12],
+        avaroh: [12, 10, 9, 7, 5, 3, 2, 0]
+    },
+    bageshree: {
+        name: 'Bageshree',
+        swaras: [0, 2, 3, 5, 7, 9, 10],
+        aaroh: [-2, 0, 3, 5, 9, 10, 12],
+        avaroh: [12, 10, 9, 5, 3, 2, 0]
+    },
+    asavari: {
+        name: 'Asavari',
+        swaras: [0, 2, 3, 5, 7, 8, 10],
+        aaroh: [0, 2, 5, 7, 8, 12],
+        avaroh: [12, 10, 8, 7, 5, 3, 2, 0]
+    },
+    bhairavi: {
+        name: 'Bhairavi',
+        swaras: [0, 1, 3, 5, 7, 8, 10],
+        aaroh: [0, 1, 3, 5, 7, 8, 10, 12],
+        avaroh: [12, 10, 8, 7, 5, 3, 1, 0]
+    },
+    bhairav: {
+        name: 'Bhairav',
+        swaras: [0, 1, 4, 5, 7, 8, 11],
+        aaroh: [0, 1, 4, 5, 7, 8, 11, 12],
+        avaroh: [12, 11, 8, 7, 5, 4, 1, 0]
+    },
+    todi: {
+        name: 'Todi',
+        swaras: [0, 1, 3, 6, 7, 8, 11],
+        aaroh: [0, 1, 3, 6, 8, 11, 12],
+        avaroh: [12, 11, 8, 7, 6, 3, 1, 0]
+    },
+    purvi: {
+        name: 'Purvi',
+        swaras: [0, 1, 4, 5, 6, 7, 8, 11],
+        aaroh: [-1, 1, 4, 6, 7, 8, 11, 12],
+        avaroh: [12, 11, 8, 7, 6, 4, 1, 0]
+    },
+    marwa: {
+        name: 'Marwa',
+        swaras: [0, 1, 4, 6, 9, 11],
+        aaroh: [-1, 1, 4, 6, 9, 11, 13, 12],
+        avaroh: [12, 11, 9, 6, 4, 1, 0]
+    },
+    malkauns: {
+        name: 'Malkauns',
+        swaras: [0, 3, 5, 8, 10],
+        aaroh: [-2, 0, 3, 5, 8, 10, 12],
+        avaroh: [12, 10, 8, 5, 3, 0]
+    }
+};
+
+// Swaras of the selected raga (null = no raga, everything is allowed)
+export const getRagaSwaras = (ragaKey, customSwaras) => {
+    if (ragaKey === 'custom') return customSwaras?.length ? customSwaras : null;
+    return RAGAS[ragaKey]?.swaras || null;
+};
+
+// Semitones above Sa (0-11) of a MIDI number, or null for an unknown key
+export const intervalFromSa = (midi, rootKey) => {
+    const rootIndex = NOTES.indexOf(rootKey);
+    if (rootIndex === -1) return null;
+    return ((Math.round(midi) - rootIndex) % 12 + 12) % 12;
+};
+
+export const isOutOfRaga = (midi, rootKey, swaras) => {
+    if (!swaras) return false;
+    const interval = intervalFromSa(midi, rootKey);
+    return interval !== null && !swaras.includes(interval);
+};
@@ -0,0 +1,104 @@
+// Take Scoring — compares a recorded take (orange line) against the song's
+// stable notes (green line). All times are in song seconds; user segments are
+// mapped onto the song timeline (offset, playback rate, loop wraps) first.
+
+import { mapTakeSegments, takePasses } from './takeTiming';
+
+const DEFAULTS = {
+    centsTolerance: 50,   // |deviation| at or below this counts as in tune
+    minCoverage: 0.3,     // Fraction of the note that must be voiced to count
+    onsetWindow: 0.3,     // Seconds before the note where an early entry still counts
+    foldOctaves: true     // Singing an octave above/below the original is not a miss
+};
+
+// Signed cents from reference to frequency
+export const centsBetween = (freq, refFreq) => 1200 * Math.log2(freq / refFreq);
+
+// Wrap cents into -600..+600 so octave displacement is ignored
+const foldCents = (cents) => ((((cents + 600) % 1200) + 1200) % 1200) - 600;
+
+const median = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Score a single reference note against the (already offset) user segments
+const scoreNote = (note, userSegments, opts) => {
+    const { centsTolerance, minCoverage, onsetWindow, foldOctaves } = opts;
+    const duration = note.endTime - note.startTime;
+
+    let voiced = 0;
+    const centsList = [];
+    let onset = null;
+
+    for (const seg of userSegments) {
+        if (seg.endTime < note.startTime - onsetWindow) continue;
+        if (seg.startTime > note.endTime) break;
+
+        let cents = centsBetween(seg.freq, note.avgFreq);
+        if (foldOctaves) cents = foldCents(cents);
+
+        // Entry timing: first in-tune frame near the note start
+        if (onset === null && Math.abs(cents) <= centsTolerance) onset = seg.startTime;
+
+        const overlap = Math.min(seg.endTime, note.endTime) - Math.max(seg.startTime, note.startTime);
+        if (overlap > 0) {
+            voiced += overlap;
+            centsList.push(cents);
+        }
+    }
+
+    const coverage = duration > 0 ? Math.min(1, voiced / duration) : 0;
+    const cents = median(centsList);
+    const hit = cents !== null && coverage >= minCoverage && Math.abs(cents) <= centsTolerance;
+
+    return {
+        startTime: note.startTime,
+        endTime: note.endTime,
+        label: note.displayLabel,
+        fullNote: note.fullNote,
+        cents,
+        timingError: onset !== null ? onset - note.startTime : null,
+        coverage,
+        hit,
+        // 1.0 for dead-on, falling to 0.5 at the tolerance edge; misses score 0
+        score: hit ? 1 - Math.abs(cents) / (2 * centsTolerance) : 0
+    };
+};
+
+// Main entry: returns null when there is nothing to compare.
+// timing: { offset, latency, timeline } of the take (see takeTiming.js). Each
+// pass over the song (a loop repeat or a seek) is scored against its own window.
+export const scoreTake = ({ stableNotes, userSegments, timing = {}, takeDuration }, options = {}) => {
+    if (!stableNotes?.length || !userSegments?.length) return null;
+    const opts = { ...DEFAULTS, ...options };
+
+    const mapped = mapTakeSegments(timing, userSegments);
+    const duration = takeDuration ?? userSegments.reduce((end, seg) => Math.max(end, seg.endTime), 0);
+
+    // Only notes that fall inside a pass's window are scored for that pass
+    const notes = takePasses(timing, duration).flatMap(pass => {
+        const segments = mapped
+            .filter(seg => seg.pass === pass.index)
+            .sort((a, b) => a.startTime - b.startTime);
+        return stableNotes
+            .filter(n => n.startTime >= pass.startTime && n.endTime <= pass.endTime)
+            .map(note => ({ ...scoreNote(note, segments, opts), pass: pass.index }));
+    });
+    if (!notes.length) return null;
+
+    const hits = notes.filter(n => n.hit);
+    const timed = hits.filter(n => n.timingError !== null);
+
+    return {
+        notes,
+        total: notes.length,
+        hits: hits.length,
+        score: Math.round(100 * notes.reduce((sum, n) => sum + n.score, 0) / notes.length),
+        meanAbsCents: hits.length ? hits.reduce((sum, n) => sum + Math.abs(n.cents), 0) / hits.length : null,
+        meanTimingError: timed.length ? timed.reduce((sum, n) => sum + n.timingError, 0) / timed.length : null,
+        centsTolerance: opts.centsTolerance
+    };
+};
@@ -0,0 +1,61 @@
+// Stable Notes — collapses raw pitch segments into held note events.
+// Shared by the song (green line), recorded takes and the exporters.
+
+import { midiToNoteName } from './notes';
+
+export const freqToMidi = (freq) => {
+    if (!freq) return null;
+    return Math.round(69 + 12 * Math.log2(freq / 440));
+};
+
+// [{ startTime, endTime, freq }] -> [{ startTime, endTime, avgFreq, midi, fullNote }]
+export const extractStableNotes = (segments) => {
+    const events = [];
+    let currentRun = [];
+
+    const processRun = (run) => {
+        if (run.length === 0) return;
+
+        const startTime = run[0].startTime;
+        const endTime = run[run.length - 1].endTime;
+        const duration = endTime - startTime;
+
+        // "Secret Sauce": Duration Check > 150ms (0.15s)
+        if (duration > 0.15) {
+            const avgFreq = run.reduce((sum, s) => sum + s.freq, 0) / run.length;
+            const midi = freqToMidi(avgFreq);
+
+            events.push({
+                startTime,
+                endTime,
+                avgFreq,
+                midi,
+                fullNote: midiToNoteName(midi) // "C4" (for matching)
+            });
+        }
+    };
+
+    for (let i = 0; i < segments.length; i++) {
+        const seg = segments[i];
+
+        // Check continuity with previous
+        if (currentRun.length > 0) {
+            const prev = currentRun[currentRun.length - 1];
+            const prevMidi = freqToMidi(prev.freq);
+            const currMidi = freqToMidi(seg.freq);
+
+            // If same note and close in time (< 0.1s gap)
+            if (prevMidi === currMidi && (seg.startTime - prev.endTime) < 0.1) {
+                currentRun.push(seg);
+            } else {
+                processRun(currentRun);
+                currentRun = [seg];
+            }
+        } else {
+            currentRun = [seg];
+        }
+    }
+    processRun(currentRun);
+
+    return events;
+};
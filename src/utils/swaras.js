@@ -0,0 +1,86 @@
+// Swaras — Bhatkhande-style sargam for display: komal swaras are underlined,
+// tivra Ma gets a vertical mark above, and the saptak is shown with dots
+// (below = mandra, above = taar). Plain-text exports spell the same marks
+// out (see notation.js).
+
+import { NOTES } from './notes';
+
+// One entry per semitone above Sa
+export const SWARAS = [
+    { latin: 'Sa', devanagari: 'सा' },
+    { latin: 'Re', devanagari: 'रे', komal: true },
+    { latin: 'Re', devanagari: 'रे' },
+    { latin: 'Ga', devanagari: 'ग', komal: true },
+    { latin: 'Ga', devanagari: 'ग' },
+    { latin: 'Ma', devanagari: 'म' },
+    { latin: 'Ma', devanagari: 'म', tivra: true },
+    { latin: 'Pa', devanagari: 'प' },
+    { latin: 'Dha', devanagari: 'ध', komal: true },
+    { latin: 'Dha', devanagari: 'ध' },
+    { latin: 'Ni', devanagari: 'नि', komal: true },
+    { latin: 'Ni', devanagari: 'नि' }
+];
+
+// MIDI number of the madhya (middle) Sa — the Sa whose octave holds the most notes
+export const findMadhyaSa = (notes, rootKey) => {
+    const rootIndex = Math.max(0, NOTES.indexOf(rootKey));
+    if (!notes.length) return 60 + rootIndex;
+    const midis = notes.map(n => n.midi).sort((a, b) => a - b);
+    const median = midis[Math.floor(midis.length / 2)];
+
+    let best = null;
+    let bestCount = -1;
+    for (let sa = median - 12; sa <= median; sa++) {
+        if ((sa - rootIndex + 120) % 12 !== 0) continue;
+        const count = midis.filter(m => m >= sa && m < sa + 12).length;
+        if (count > bestCount) {
+            best = sa;
+            bestCount = count;
+        }
+    }
+    return best;
+};
+
+// { text, komal, tivra, saptak } for a MIDI number; saptak is -1 for mandra,
+// 0 for madhya, 1 for taar (±2 for ati-mandra / ati-taar).
+export const getSwara = (midi, { madhyaSa, script = 'latin' }) => {
+    const step = Math.round(midi) - madhyaSa;
+    const swara = SWARAS[(step % 12 + 12) % 12];
+    return {
+        text: swara[script] || swara.latin,
+        komal: !!swara.komal,
+        tivra: !!swara.tivra,
+        saptak: Math.floor(step / 12)
+    };
+};
+
+// Same as getSwara for an offset from madhya Sa (aaroh/avaroh steps)
+export const getSwaraForStep = (step, script = 'latin') => getSwara(step, { madhyaSa: 0, script });
+
+// Draws a swara centred at (x, y) on a canvas, marks included. Uses the
+// context's current font and fill style.
+export const drawSwara = (ctx, swara, x, y) => {
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(swara.text, x, y);
+
+    const width = ctx.measureText(swara.text).width;
+    const half = parseInt(ctx.font.match(/(\d+)px/)?.[1] || '11', 10) / 2;
+
+    if (swara.komal) {
+        ctx.fillRect(x - width / 2, y + half, width, 1);
+    }
+    if (swara.tivra) {
+        ctx.fillRect(x - 0.5, y - half - 5, 1, 4);
+    }
+
+    // Saptak dots: below for mandra, above for taar
+    const dots = Math.abs(swara.saptak);
+    const dotY = swara.saptak < 0 ? y + half + 4 : y - half - (swara.tivra ? 8 : 3);
+    for (let i = 0; i < dots; i++) {
+        const dotX = x + (i - (dots - 1) / 2) * 4;
+        ctx.beginPath();
+        ctx.arc(dotX, dotY, 1.3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+};
@@ -0,0 +1,90 @@
+// Take Timing — where each moment of a recorded take lands on the song timeline.
+//
+// While recording, the player logs a mark whenever the song jumps or changes
+// speed (loop wraps, seeks, pause/play, playback-rate steps):
+//   timeline: [{ at, time, rate }]
+//   at   = seconds into the take (mic clock)
+//   time = song position at that moment
+//   rate = playback rate from then on (0 while paused)
+// The voice lags what was heard by the mic's calibrated latency.
+// Takes recorded before timelines existed map 1:1 from their offset.
+
+const JUMP_TOLERANCE = 0.05; // Song-time discontinuity (s) that starts a new pass
+
+// Marks for a take, each tagged with the pass (continuous run of song time) it belongs to
+const passMarks = ({ offset = 0, latency = 0, timeline }) => {
+    const marks = timeline?.length ? timeline : [{ at: 0, time: offset + latency, rate: 1 }];
+    let pass = 0;
+    return marks.map((mark, i) => {
+        const prev = marks[i - 1];
+        if (prev && Math.abs(prev.time + (mark.at - prev.at) * prev.rate - mark.time) > JUMP_TOLERANCE) pass++;
+        return { ...mark, pass };
+    });
+};
+
+// Last mark at or before the heard time (the first mark extrapolates backwards)
+const markAt = (marks, heard) => {
+    let mark = marks[0];
+    for (const m of marks) {
+        if (m.at > heard) break;
+        mark = m;
+    }
+    return mark;
+};
+
+// Song time sung at take time t
+export const takeToSongTime = (timing, t) => {
+    const heard = t - (timing.latency || 0);
+    const mark = markAt(passMarks(timing), heard);
+    return mark.time + (heard - mark.at) * mark.rate;
+};
+
+// Take segments (or ornaments) moved onto song time, each with its pass index.
+// A span keeps the rate it started at, so it never straddles a jump.
+export const mapTakeSegments = (timing, segments) => {
+    const marks = passMarks(timing);
+    const latency = timing.latency || 0;
+    return segments.map(seg => {
+        const heard = seg.startTime - latency;
+        const mark = markAt(marks, heard);
+        const startTime = mark.time + (heard - mark.at) * mark.rate;
+        return { ...seg, startTime, endTime: startTime + (seg.endTime - seg.startTime) * mark.rate, pass: mark.pass };
+    });
+};
+
+// Song-time window covered by each pass of a take: [{ index, startTime, endTime }]
+export const takePasses = (timing, duration) => {
+    const marks = passMarks(timing);
+    const latency = timing.latency || 0;
+    const passes = [];
+    marks.forEach((mark, i) => {
+        if (i === 0 || mark.pass !== marks[i - 1].pass) {
+            const from = i === 0 ? -latency : mark.at;
+            passes.push({ index: mark.pass, startTime: mark.time + (from - mark.at) * mark.rate });
+        }
+        // Each mark carries its pass on until the next mark (or the end of the take)
+        const until = i < marks.length - 1 ? marks[i + 1].at : duration - latency;
+        passes[passes.length - 1].endTime = mark.time + (until - mark.at) * mark.rate;
+    });
+    return passes;
+};
+
+// Stretches of the take and the song position each one was sung against:
+// [{ takeStart, takeEnd, songStart, rate }] (take times in seconds into the take)
+export const takeSongSpans = (timing, duration) => {
+    const marks = passMarks(timing);
+    const latency = timing.latency || 0;
+    return marks.map((mark, i) => {
+        const from = i === 0 ? -latency : mark.at;
+        const until = i < marks.length - 1 ? marks[i + 1].at : duration - latency;
+        return {
+            takeStart: from + latency,
+            takeEnd: until + latency,
+            songStart: mark.time + (from - mark.at) * mark.rate,
+            rate: mark.rate
+        };
+    });
+};
+
+// Song heard at normal speed throughout the take (pauses allowed)
+export const isNormalSpeedTake = (timing) => passMarks(timing).every(mark => mark.rate === 0 || mark.rate === 1);
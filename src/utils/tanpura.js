@@ -0,0 +1,112 @@
+// Tanpura Drone — synthesized with Web Audio.
+// Each string is a pre-rendered pluck (additive harmonics with a jawari-style
+// buzz and slow decay) scheduled in the classic 4-string cycle.
+
+// First string of each tuning, as a just ratio of Sa (one octave down)
+export const TANPURA_TUNINGS = {
+    Pa: { label: 'Pa-Sa-Sa-Sa', ratio: 3 / 2 / 2 },
+    Ma: { label: 'Ma-Sa-Sa-Sa', ratio: 4 / 3 / 2 },
+    Ni: { label: 'Ni-Sa-Sa-Sa', ratio: 15 / 8 / 2 }
+};
+
+const PLUCK_SECONDS = 4;
+const HARMONICS = 14;
+const LOOKAHEAD_MS = 25;
+const SCHEDULE_AHEAD = 0.1;
+
+// Render one pluck into an AudioBuffer
+const renderPluck = (ctx, freq) => {
+    const length = Math.floor(ctx.sampleRate * PLUCK_SECONDS);
+    const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    const twoPi = 2 * Math.PI;
+
+    for (let h = 1; h <= HARMONICS; h++) {
+        const f = freq * h;
+        if (f > ctx.sampleRate / 2) break;
+        // Jawari: upper partials are strong but fade faster, and swell in slightly late
+        const amp = (h === 1 ? 1 : 0.6 / Math.sqrt(h));
+        const decay = 0.6 + h * 0.15;
+        const swell = 0.02 * h;
+        // Two slightly detuned copies give the shimmering chorus of a real tanpura
+        const detune = Math.pow(2, 1.5 / 1200);
+        for (let i = 0; i < length; i++) {
+            const t = i / ctx.sampleRate;
+            const env = Math.exp(-decay * t) * (1 - Math.exp(-t / (0.005 + swell)));
+            data[i] += amp * env * (Math.sin(twoPi * f * t) + Math.sin(twoPi * f * detune * t)) * 0.5;
+        }
+    }
+
+    // Normalize
+    let peak = 0;
+    for (let i = 0; i < length; i++) peak = Math.max(peak, Math.abs(data[i]));
+    if (peak > 0) for (let i = 0; i < length; i++) data[i] *= 0.8 / peak;
+    return buffer;
+};
+
+// Factory: returns a controller object. Nothing sounds until start().
+export const createTanpura = ({ saFreq, tuning = 'Pa', volume = 0.5, pluckGap = 0.8 } = {}) => {
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    const master = ctx.createGain();
+    master.gain.value = volume;
+    master.connect(ctx.destination);
+
+    let settings = { saFreq, tuning, pluckGap };
+    let strings = [];
+    let step = 0;
+    let nextTime = 0;
+    let timer = null;
+
+    const buildStrings = () => {
+        const { saFreq: sa, tuning: t } = settings;
+        const first = sa * (TANPURA_TUNINGS[t] || TANPURA_TUNINGS.Pa).ratio;
+        strings = [first, sa, sa, sa / 2].map(f => renderPluck(ctx, f));
+    };
+
+    const schedulePluck = (buffer, when) => {
+        const src = ctx.createBufferSource();
+        src.buffer = buffer;
+        src.connect(master);
+        src.start(when);
+    };
+
+    const scheduler = () => {
+        while (nextTime < ctx.currentTime + SCHEDULE_AHEAD) {
+            schedulePluck(strings[step], nextTime);
+            // The low Sa rings a little longer before the cycle restarts
+            nextTime += step === 3 ? settings.pluckGap * 2 : settings.pluckGap;
+            step = (step + 1) % 4;
+        }
+    };
+
+    buildStrings();
+
+    return {
+        start: () => {
+            if (timer) return;
+            if (ctx.state === 'suspended') ctx.resume().catch(() => { });
+            step = 0;
+            nextTime = ctx.currentTime + 0.05;
+            scheduler();
+            timer = setInterval(scheduler, LOOKAHEAD_MS);
+        },
+        stop: () => {
+            if (timer) clearInterval(timer);
+            timer = null;
+        },
+        isRunning: () => !!timer,
+        setVolume: (v) => master.gain.setTargetAtTime(v, ctx.currentTime, 0.05),
+        setPluckGap: (gap) => { settings = { ...settings, pluckGap: gap }; },
+        // Re-tuning re-renders the string buffers; takes effect on the next pluck
+        setTuning: ({ saFreq: sa = settings.saFreq, tuning: t = settings.tuning }) => {
+            if (sa === settings.saFreq && t === settings.tuning) return;
+            settings = { ...settings, saFreq: sa, tuning: t };
+            buildStrings();
+        },
+        destroy: () => {
+            if (timer) clearInterval(timer);
+            timer = null;
+            ctx.close().catch(() => { });
+        }
+    };
+};
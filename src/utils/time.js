@@ -0,0 +1,8 @@
+// Song positions as m:ss, or m:ss.s with one decimal for loop and note times
+export const formatTime = (seconds, decimals = 0) => {
+    const m = Math.floor(seconds / 60);
+    const s = decimals
+        ? (seconds % 60).toFixed(decimals).padStart(3 + decimals, '0')
+        : Math.floor(seconds % 60).toString().padStart(2, '0');
+    return `${m}:${s}`;
+};
@@ -0,0 +1,65 @@
+import { NOTES } from './notes';
+
+// Tonic (Sa) Detection — duration-weighted pitch-class histogram correlated
+// against a Sa-centred profile, Krumhansl-Schmuckler style.
+
+// Relative prominence of each swara (Sa..Ni) in typical Hindustani / film
+// melodies: Sa and Pa dominate, shuddha swaras beat komal ones.
+const SA_PROFILE = [1.0, 0.15, 0.5, 0.3, 0.55, 0.45, 0.2, 0.85, 0.25, 0.5, 0.3, 0.45];
+
+// Controls how sharply confidence favours the best candidate
+const SOFTMAX_TEMPERATURE = 0.1;
+
+const pearson = (a, b) => {
+    const n = a.length;
+    const meanA = a.reduce((s, v) => s + v, 0) / n;
+    const meanB = b.reduce((s, v) => s + v, 0) / n;
+    let num = 0, denA = 0, denB = 0;
+    for (let i = 0; i < n; i++) {
+        const da = a[i] - meanA;
+        const db = b[i] - meanB;
+        num += da * db;
+        denA += da * da;
+        denB += db * db;
+    }
+    const den = Math.sqrt(denA * denB);
+    return den > 0 ? num / den : 0;
+};
+
+// Duration-weighted histogram of the 12 pitch classes (C = 0)
+export const pitchClassHistogram = (segments) => {
+    const hist = new Array(12).fill(0);
+    for (const seg of segments) {
+        if (!seg.freq) continue;
+        const midi = Math.round(69 + 12 * Math.log2(seg.freq / 440));
+        hist[((midi % 12) + 12) % 12] += seg.endTime - seg.startTime;
+    }
+    return hist;
+};
+
+// Returns { tonic, confidence, candidates: [{ key, confidence }] } or null
+export const detectTonic = (segments, { topN = 3 } = {}) => {
+    if (!segments?.length) return null;
+    const hist = pitchClassHistogram(segments);
+    if (hist.every(v => v === 0)) return null;
+
+    const scores = NOTES.map((key, root) => {
+        const rotated = hist.map((_, i) => hist[(i + root) % 12]);
+        return { key, r: pearson(rotated, SA_PROFILE) };
+    });
+
+    const maxR = Math.max(...scores.map(s => s.r));
+    const weights = scores.map(s => Math.exp((s.r - maxR) / SOFTMAX_TEMPERATURE));
+    const total = weights.reduce((s, w) => s + w, 0);
+
+    const candidates = scores
+        .map((s, i) => ({ key: s.key, confidence: weights[i] / total }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, topN);
+
+    return {
+        tonic: candidates[0].key,
+        confidence: candidates[0].confidence,
+        candidates
+    };
+};
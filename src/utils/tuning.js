@@ -0,0 +1,122 @@
+// Tuning Systems — where each swara sits relative to Sa. Equal temperament
+// spaces the 12 semitones evenly; just intonation uses small-number ratios
+// (Pa = 3/2, Ga = 5/4); the 22-shruti table adds the traditional microtonal
+// variants of each swara. Drives the pitch-graph bands, the axis labels and
+// which swara (and shruti) a pitch is classified as.
+
+import { NOTES, midiToFreq } from './notes';
+
+export const TUNING_SYSTEMS = {
+    equal: 'Equal temperament',
+    just: 'Just intonation',
+    shruti: '22 shrutis'
+};
+
+// 5-limit just intonation, one ratio per semitone above Sa
+const JUST_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8];
+
+// The 22 shrutis. `interval` is the swara (semitones above Sa) each belongs to;
+// `primary` marks the one used by just intonation.
+const SHRUTIS = [
+    { name: 'Sa', ratio: 1, interval: 0, primary: true },
+    { name: 'Ati-komal Re', ratio: 256 / 243, interval: 1 },
+    { name: 'Komal Re', ratio: 16 / 15, interval: 1, primary: true },
+    { name: 'Shuddha Re', ratio: 10 / 9, interval: 2 },
+    { name: 'Tivra Re', ratio: 9 / 8, interval: 2, primary: true },
+    { name: 'Ati-komal Ga', ratio: 32 / 27, interval: 3 },
+    { name: 'Komal Ga', ratio: 6 / 5, interval: 3, primary: true },
+    { name: 'Shuddha Ga', ratio: 5 / 4, interval: 4, primary: true },
+    { name: 'Tivra Ga', ratio: 81 / 64, interval: 4 },
+    { name: 'Shuddha Ma', ratio: 4 / 3, interval: 5, primary: true },
+    { name: 'Ekashruti Ma', ratio: 27 / 20, interval: 5 },
+    { name: 'Tivra Ma', ratio: 45 / 32, interval: 6, primary: true },
+    { name: 'Tivratara Ma', ratio: 729 / 512, interval: 6 },
+    { name: 'Pa', ratio: 3 / 2, interval: 7, primary: true },
+    { name: 'Ati-komal Dha', ratio: 128 / 81, interval: 8 },
+    { name: 'Komal Dha', ratio: 8 / 5, interval: 8, primary: true },
+    { name: 'Shuddha Dha', ratio: 5 / 3, interval: 9, primary: true },
+    { name: 'Tivra Dha', ratio: 27 / 16, interval: 9 },
+    { name: 'Ati-komal Ni', ratio: 16 / 9, interval: 10 },
+    { name: 'Komal Ni', ratio: 9 / 5, interval: 10, primary: true },
+    { name: 'Shuddha Ni', ratio: 15 / 8, interval: 11, primary: true },
+    { name: 'Tivra Ni', ratio: 243 / 128, interval: 11 }
+];
+
+const RATIO_LABELS = {
+    [16 / 15]: '16/15', [9 / 8]: '9/8', [6 / 5]: '6/5', [5 / 4]: '5/4', [4 / 3]: '4/3', [45 / 32]: '45/32',
+    [3 / 2]: '3/2', [8 / 5]: '8/5', [5 / 3]: '5/3', [9 / 5]: '9/5', [15 / 8]: '15/8', [256 / 243]: '256/243',
+    [10 / 9]: '10/9', [32 / 27]: '32/27', [81 / 64]: '81/64', [27 / 20]: '27/20', [729 / 512]: '729/512',
+    [128 / 81]: '128/81', [27 / 16]: '27/16', [16 / 9]: '16/9', [243 / 128]: '243/128'
+};
+
+// One octave of positions for a system: [{ ratio, interval, primary, name? }]
+export const getTuningPositions = (system) => {
+    if (system === 'shruti') return SHRUTIS;
+    if (system === 'just') return JUST_RATIOS.map((ratio, interval) => ({ ratio, interval, primary: true }));
+    return NOTES.map((_, interval) => ({ ratio: Math.pow(2, interval / 12), interval, primary: true }));
+};
+
+export const formatRatio = (ratio) => RATIO_LABELS[ratio] || (ratio === 1 ? '1/1' : ratio.toFixed(3));
+
+const cents = (a, b) => 1200 * Math.log2(a / b);
+
+// Sa of the selected key near middle C: { saMidi, saFreq } (null for an unknown key)
+export const getSaReference = (rootKey) => {
+    const rootIndex = NOTES.indexOf(rootKey);
+    if (rootIndex === -1) return null;
+    const saMidi = 60 + rootIndex;
+    return { saMidi, saFreq: midiToFreq(saMidi) };
+};
+
+// Nearest tuning position to `freq` for Sa = sa (see getSaReference). Returns { key, midi,
+// interval, index, name, ratio, targetFreq, cents }: midi is the swara's
+// semitone as a MIDI number (for swara/saptak labels), index the position
+// within the octave, cents the signed distance from the position.
+export const classifyPitch = (freq, { saFreq, saMidi }, system = 'equal') => {
+    const positions = getTuningPositions(system);
+    const octave = Math.floor(Math.log2(freq / saFreq));
+    const octaveSa = saFreq * Math.pow(2, octave);
+
+    let best = null;
+    // Include the next octave's Sa so pitches just below Sa' snap upwards
+    [...positions.map((p, index) => ({ ...p, index, up: 0 })), { ...positions[0], index: 0, up: 1 }].forEach(p => {
+        const targetFreq = octaveSa * p.ratio * Math.pow(2, p.up);
+        const distance = cents(freq, targetFreq);
+        if (!best || Math.abs(distance) < Math.abs(best.cents)) {
+            best = { ...p, targetFreq, cents: distance, octave: octave + p.up };
+        }
+    });
+
+    const midi = saMidi + best.octave * 12 + best.interval;
+    return {
+        key: `${midi}:${best.index}`,
+        midi,
+        interval: best.interval,
+        index: best.index,
+        name: best.name,
+        ratio: best.ratio,
+        targetFreq: best.targetFreq,
+        cents: best.cents
+    };
+};
+
+// Bands between minFreq and maxFreq, each centred on a position and reaching
+// halfway (in cents) to its neighbours: [{ key, midi, interval, index, primary, name, ratio, freq, low, high }]
+export const getTuningBands = ({ saFreq, saMidi }, system, minFreq, maxFreq) => {
+    const positions = getTuningPositions(system);
+    const centres = [];
+    for (let octave = Math.floor(Math.log2(minFreq / saFreq)) - 1; saFreq * Math.pow(2, octave) <= maxFreq * 2; octave++) {
+        positions.forEach((p, index) => {
+            const midi = saMidi + octave * 12 + p.interval;
+            centres.push({ ...p, index, key: `${midi}:${index}`, midi, freq: saFreq * Math.pow(2, octave) * p.ratio });
+        });
+    }
+
+    return centres
+        .map((band, i) => ({
+            ...band,
+            low: i > 0 ? Math.sqrt(centres[i - 1].freq * band.freq) : band.freq * Math.pow(2, -1 / 24),
+            high: i < centres.length - 1 ? Math.sqrt(band.freq * centres[i + 1].freq) : band.freq * Math.pow(2, 1 / 24)
+        }))
+        .filter(band => band.freq >= minFreq * 0.98 && band.freq <= maxFreq * 1.02);
+};
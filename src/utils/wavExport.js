@@ -0,0 +1,120 @@
+// WAV Export — turns recorded takes (webm/opus or mp4 from MediaRecorder) into
+// 16-bit PCM WAV files, either on their own or mixed over the song.
+
+import { takeSongSpans, isNormalSpeedTake } from './takeTiming';
+
+// Decode any browser-playable blob at the device's native rate
+const decodeBlob = async (blob) => {
+    const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    try {
+        return await audioCtx.decodeAudioData(await blob.arrayBuffer());
+    } finally {
+        audioCtx.close();
+    }
+};
+
+// Interleaved 16-bit PCM with a standard 44-byte RIFF header
+export const encodeWav = (audioBuffer) => {
+    const { numberOfChannels, sampleRate, length } = audioBuffer;
+    const bytesPerSample = 2;
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);              // fmt chunk size
+    view.setUint16(20, 1, true);               // PCM
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 16, true);              // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channels = Array.from({ length: numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (let c = 0; c < numberOfChannels; c++) {
+            const s = Math.max(-1, Math.min(1, channels[c][i]));
+            view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([view], { type: 'audio/wav' });
+};
+
+// Scale the whole buffer down if the mix clips
+const normalizePeak = (audioBuffer, ceiling = 0.98) => {
+    let peak = 0;
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        const data = audioBuffer.getChannelData(c);
+        for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+    }
+    if (peak <= ceiling) return audioBuffer;
+    const gain = ceiling / peak;
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        const data = audioBuffer.getChannelData(c);
+        for (let i = 0; i < data.length; i++) data[i] *= gain;
+    }
+    return audioBuffer;
+};
+
+export const takeToWav = async (takeBlob) => encodeWav(await decodeBlob(takeBlob));
+
+// Why a take can't be mixed over the song, or null when it can. The mix plays
+// the original song file, so the take must have been sung over it unchanged.
+export const mixUnavailableReason = (take) => {
+    if (!isNormalSpeedTake(take)) return 'Sung with the song slowed down or sped up — the mix would drift out of time';
+    if (take.transpose?.semitones || take.transpose?.cents) return 'Sung with the song transposed — the mix would be in a different key';
+    return null;
+};
+
+// Render the take over the song sections it was sung against. The song follows
+// the take's timeline (see takeTiming.js): loop wraps and seeks replay the song
+// from where the singer heard it, pauses leave the song silent, and a take that
+// began before the song (negative offset) gets the song delayed to match.
+// balance: 0 = song only, 0.5 = both at full level, 1 = voice only.
+export const mixTakeWithSong = async ({ songBlob, takeBlob, timing = {}, balance = 0.5 }) => {
+    const [song, take] = await Promise.all([decodeBlob(songBlob), decodeBlob(takeBlob)]);
+
+    const sampleRate = song.sampleRate;
+    const length = Math.ceil(take.duration * sampleRate);
+    const ctx = new OfflineAudioContext(2, length, sampleRate);
+
+    const songGain = ctx.createGain();
+    songGain.gain.value = Math.min(1, 2 * (1 - balance));
+    songGain.connect(ctx.destination);
+    takeSongSpans(timing, take.duration).forEach(({ takeStart, takeEnd, songStart, rate }) => {
+        if (rate === 0) return; // Song was paused
+        // Song positions before 0 are silence: start the song that much later
+        const lead = Math.max(0, -songStart);
+        const when = takeStart + lead;
+        const from = songStart + lead;
+        const duration = Math.min(takeEnd - when, song.duration - from);
+        if (duration <= 0) return;
+        const songSource = ctx.createBufferSource();
+        songSource.buffer = song;
+        songSource.connect(songGain);
+        songSource.start(when, from, duration);
+    });
+
+    // Mono mic takes are upmixed to both channels by the destination
+    const takeGain = ctx.createGain();
+    takeGain.gain.value = Math.min(1, 2 * balance);
+    takeGain.connect(ctx.destination);
+    const takeSource = ctx.createBufferSource();
+    takeSource.buffer = take;
+    takeSource.connect(takeGain);
+    takeSource.start(0);
+
+    return encodeWav(normalizePeak(await ctx.startRendering()));
+};
@@ -0,0 +1,56 @@
+// Western Note Names — letter names spelled for the key, movable-do solfège
+// (Do = the selected Sa/key) and fixed-do (Do = C), plus the cents offset
+// from the nearest equal-tempered pitch.
+
+import { NOTES, midiToFreq } from './notes';
+
+export const WESTERN_MODES = {
+    letters: 'A B C',
+    movableDo: 'Do (movable)',
+    fixedDo: 'Do (fixed)'
+};
+
+const FLAT_NAMES = ['C', 'D♭', 'D', 'E♭', 'E', 'F', 'G♭', 'G', 'A♭', 'A', 'B♭', 'B'];
+const SHARP_NAMES = NOTES.map(n => n.replace('#', '♯'));
+
+// Keys whose major scale is written with flats (Db rather than C#)
+const FLAT_KEYS = ['F', 'A#', 'D#', 'G#', 'C#'];
+
+// Chromatic movable-do: raised 4th, lowered 2nd/3rd/6th/7th
+const MOVABLE_DO = ['Do', 'Ra', 'Re', 'Me', 'Mi', 'Fa', 'Fi', 'Sol', 'Le', 'La', 'Te', 'Ti'];
+const FIXED_DO = { C: 'Do', D: 'Re', E: 'Mi', F: 'Fa', G: 'Sol', A: 'La', B: 'Si' };
+
+// Key-aware letter name without octave: "D♭" in A♭ major, "C♯" in A major
+export const spellNote = (midi, rootKey) => {
+    const names = FLAT_KEYS.includes(rootKey) ? FLAT_NAMES : SHARP_NAMES;
+    return names[((Math.round(midi) % 12) + 12) % 12];
+};
+
+// Display name for a MIDI number in the given mode; withOctave adds the
+// octave number where it is meaningful (letters and fixed-do)
+export const getWesternName = (midi, { mode = 'letters', rootKey, withOctave = true }) => {
+    const rounded = Math.round(midi);
+    const octave = withOctave ? Math.floor(rounded / 12) - 1 : '';
+
+    if (mode === 'movableDo') {
+        const rootIndex = Math.max(0, NOTES.indexOf(rootKey));
+        return MOVABLE_DO[((rounded - rootIndex) % 12 + 12) % 12];
+    }
+
+    const letter = spellNote(rounded, rootKey);
+    if (mode === 'fixedDo') return `${FIXED_DO[letter[0]]}${letter.slice(1)}${octave}`;
+    return `${letter}${octave}`;
+};
+
+// Signed distance (cents) from the nearest equal-tempered pitch
+export const centsOffset = (freq) => {
+    const midi = Math.round(69 + 12 * Math.log2(freq / 440));
+    return 1200 * Math.log2(freq / midiToFreq(midi));
+};
+
+// -7.6 -> "−8¢", 12 -> "+12¢"
+export const formatCents = (cents) => {
+    const rounded = Math.round(cents);
+    if (rounded === 0) return '±0¢';
+    return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded)}¢`;
+};